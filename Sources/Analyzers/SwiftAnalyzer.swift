@@ -768,8 +768,33 @@ class TypeCollectorVisitor: SyntaxVisitor {
     }
     
     private func extractNestedTypes(from node: some SyntaxProtocol) -> [NestedTypeInfo] {
-        // TODO: Implement nested type extraction
-        return []
+        var nestedTypes: [NestedTypeInfo] = []
+        
+        let memberBlock = extractMemberBlock(from: node)
+        guard let members = memberBlock else { return nestedTypes }
+        
+        // The visitor collects nested declarations as types of their own; only a reference is kept here
+        for member in members {
+            let decl = member.decl
+            let kind: TypeKind
+            if decl.is(ClassDeclSyntax.self) {
+                kind = .class
+            } else if decl.is(StructDeclSyntax.self) {
+                kind = .struct
+            } else if decl.is(EnumDeclSyntax.self) {
+                kind = .enum
+            } else if decl.is(ActorDeclSyntax.self) {
+                kind = .actor
+            } else if decl.is(ProtocolDeclSyntax.self) {
+                kind = .protocol
+            } else {
+                continue
+            }
+            let accessLevel = extractAccessLevel(from: extractModifiers(from: decl))
+            nestedTypes.append(NestedTypeInfo(name: extractName(from: decl), kind: kind, accessLevel: accessLevel))
+        }
+        
+        return nestedTypes
     }
     
     private func extractAssociatedTypes(from node: some SyntaxProtocol) -> [AssociatedTypeInfo] {
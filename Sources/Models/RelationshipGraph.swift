@@ -63,6 +63,7 @@ public class RelationshipGraph {
     private var nodes: [String: Node] = [:]
     private var relationships: Set<Relationship> = []
     private var pendingExtensions: [String: [TypeInfo]] = [:] // Type name -> list of extensions
+    private var declaredConformances: [String: Set<String>] = [:] // Type name -> protocols in its own declaration
     
     public init() {}
     
@@ -84,6 +85,7 @@ public class RelationshipGraph {
             // This is a base type (class, struct, protocol, etc.)
             let node = Node(type: type)
             nodes[type.name] = node
+            declaredConformances[type.name] = type.conformedProtocols
             addTypeRelationships(type)
             
             // If we have pending extensions for this type, merge them now
@@ -147,6 +149,7 @@ public class RelationshipGraph {
                 
                 let baseNode = Node(type: baseType)
                 nodes[typeName] = baseNode
+                declaredConformances[typeName] = []
             }
             
             // Consolidate all extensions
@@ -163,9 +166,15 @@ public class RelationshipGraph {
             addRelationship(from: type.name, to: inherited, kind: .inheritance)
         }
         
-        // Add protocol conformance relationships
+        // Add protocol conformance relationships, noting the ones only an extension declares
         for protocolName in type.conformedProtocols {
-            addRelationship(from: type.name, to: protocolName, kind: .protocolConformance)
+            let isFromExtension = declaredConformances[type.name].map { !$0.contains(protocolName) } ?? false
+            addRelationship(
+                from: type.name,
+                to: protocolName,
+                kind: .protocolConformance,
+                details: isFromExtension ? "declared in extension" : nil
+            )
         }
         
         // Add dependency relationships based on properties
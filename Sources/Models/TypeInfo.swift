@@ -380,12 +380,16 @@ public struct TypeAliasInfo: Codable, Equatable {
 
 // MARK: - Nested Type Information
 
+/// A reference to a type declared inside another one. The nested type itself is
+/// collected as a type of its own, so only its name is recorded here.
 public struct NestedTypeInfo: Codable, Equatable {
-    public let typeInfo: TypeInfo
+    public let name: String
+    public let kind: TypeKind
     public let accessLevel: AccessLevel
 
-    public init(typeInfo: TypeInfo, accessLevel: AccessLevel) {
-        self.typeInfo = typeInfo
+    public init(name: String, kind: TypeKind, accessLevel: AccessLevel) {
+        self.name = name
+        self.kind = kind
         self.accessLevel = accessLevel
     }
 }
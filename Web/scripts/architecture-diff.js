@@ -0,0 +1,165 @@
+// Architecture diff between a "before" and an "after" analysis
+class ArchitectureDiff {
+    static relationshipKey(rel) {
+        return `${rel.from}|${rel.kind}|${rel.to}`;
+    }
+
+    // Returns a single analysis containing every type of both files, where each
+    // node carries a `diff` record and each relationship a `diffStatus`.
+    static compare(before, after) {
+        const beforeNodes = new Map(before.nodes.map(node => [WorkspaceMerger.typeKey(node.type), node]));
+        const afterNodes = new Map(after.nodes.map(node => [WorkspaceMerger.typeKey(node.type), node]));
+        const nodes = [];
+
+        afterNodes.forEach((afterNode, key) => {
+            const beforeNode = beforeNodes.get(key);
+            const node = { ...afterNode, relationships: [] };
+
+            if (!beforeNode) {
+                node.diff = { status: 'added', changes: [] };
+                node.relationships = (afterNode.relationships || []).map(rel => ({ ...rel, diffStatus: 'added' }));
+            } else {
+                const changes = this.compareTypes(beforeNode.type, afterNode.type);
+                node.relationships = this.compareRelationships(beforeNode.relationships || [], afterNode.relationships || []);
+                const relationshipsChanged = node.relationships.some(rel => rel.diffStatus !== 'unchanged');
+                node.diff = {
+                    status: changes.length > 0 || relationshipsChanged ? 'changed' : 'unchanged',
+                    changes
+                };
+            }
+
+            nodes.push(node);
+        });
+
+        beforeNodes.forEach((beforeNode, key) => {
+            if (afterNodes.has(key)) return;
+
+            nodes.push({
+                ...beforeNode,
+                diff: { status: 'removed', changes: [] },
+                relationships: (beforeNode.relationships || []).map(rel => ({ ...rel, diffStatus: 'removed' }))
+            });
+        });
+
+        return {
+            nodes,
+            diff: this.summarize(nodes)
+        };
+    }
+
+    static compareRelationships(beforeRels, afterRels) {
+        const beforeKeys = new Set(beforeRels.map(rel => this.relationshipKey(rel)));
+        const afterKeys = new Set(afterRels.map(rel => this.relationshipKey(rel)));
+
+        const result = afterRels.map(rel => ({
+            ...rel,
+            diffStatus: beforeKeys.has(this.relationshipKey(rel)) ? 'unchanged' : 'added'
+        }));
+
+        beforeRels.forEach(rel => {
+            if (!afterKeys.has(this.relationshipKey(rel))) {
+                result.push({ ...rel, diffStatus: 'removed' });
+            }
+        });
+
+        return result;
+    }
+
+    // Member-level changes, each as { change: 'added'|'removed'|'changed', category, description }
+    static compareTypes(before, after) {
+        const changes = [];
+
+        if (before.kind !== after.kind) {
+            changes.push({ change: 'changed', category: 'Kind', description: `${before.kind} → ${after.kind}` });
+        }
+        if (before.accessLevel !== after.accessLevel) {
+            changes.push({ change: 'changed', category: 'Access', description: `${before.accessLevel} → ${after.accessLevel}` });
+        }
+
+        this.compareNameLists(before.inheritedTypes, after.inheritedTypes, 'Inheritance', changes);
+        this.compareNameLists(before.conformedProtocols, after.conformedProtocols, 'Conformance', changes);
+
+        this.compareMembers(
+            before.properties, after.properties, 'Property',
+            prop => prop.name,
+            prop => `${prop.isLet ? 'let' : 'var'} ${prop.name}: ${prop.typeName}`,
+            changes
+        );
+        this.compareMembers(
+            before.methods, after.methods, 'Method',
+            method => this.methodKey(method),
+            method => this.methodSignature(method),
+            changes
+        );
+        this.compareMembers(
+            before.initializers, after.initializers, 'Initializer',
+            init => this.parameterList(init.parameters, false),
+            init => `init(${this.parameterList(init.parameters, true)})`,
+            changes
+        );
+
+        return changes;
+    }
+
+    static compareNameLists(beforeList = [], afterList = [], category, changes) {
+        const beforeSet = new Set(beforeList);
+        const afterSet = new Set(afterList);
+
+        afterSet.forEach(name => {
+            if (!beforeSet.has(name)) changes.push({ change: 'added', category, description: name });
+        });
+        beforeSet.forEach(name => {
+            if (!afterSet.has(name)) changes.push({ change: 'removed', category, description: name });
+        });
+    }
+
+    // Members are matched by `keyOf`; a match whose `describe` output differs is a change
+    static compareMembers(beforeList = [], afterList = [], category, keyOf, describe, changes) {
+        const beforeMap = new Map(beforeList.map(member => [keyOf(member), member]));
+        const afterMap = new Map(afterList.map(member => [keyOf(member), member]));
+
+        afterMap.forEach((member, key) => {
+            const previous = beforeMap.get(key);
+            if (!previous) {
+                changes.push({ change: 'added', category, description: describe(member) });
+            } else if (describe(previous) !== describe(member)) {
+                changes.push({ change: 'changed', category, description: `${describe(previous)} → ${describe(member)}` });
+            }
+        });
+        beforeMap.forEach((member, key) => {
+            if (!afterMap.has(key)) {
+                changes.push({ change: 'removed', category, description: describe(member) });
+            }
+        });
+    }
+
+    static methodKey(method) {
+        const labels = (method.parameters || []).map(p => `${p.label ?? p.name}:`).join('');
+        return `${method.isStatic ? 'static ' : ''}${method.name}(${labels})`;
+    }
+
+    static methodSignature(method) {
+        const returnType = method.returnType ? ` -> ${method.returnType}` : '';
+        return `${method.name}(${this.parameterList(method.parameters, true)})${returnType}`;
+    }
+
+    static parameterList(parameters = [], includeTypes) {
+        return parameters
+            .map(p => includeTypes ? `${p.name}: ${p.typeName}` : `${p.label ?? p.name}:`)
+            .join(includeTypes ? ', ' : '');
+    }
+
+    static summarize(nodes) {
+        const summary = {
+            types: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+            relationships: { added: 0, removed: 0, unchanged: 0 }
+        };
+
+        nodes.forEach(node => {
+            summary.types[node.diff.status]++;
+            node.relationships.forEach(rel => summary.relationships[rel.diffStatus]++);
+        });
+
+        return summary;
+    }
+}
@@ -0,0 +1,714 @@
+// Draws the diagram on a <canvas> for analyses too large for one SVG group per type.
+// The SVG element stays in place as the zoom and pointer target: this class paints the
+// nodes, links and highlights from the visualization's state and hit-tests with a quadtree.
+class CanvasRenderer {
+    // Diagrams with more nodes than this are drawn on the canvas in 'auto' mode
+    static get autoThreshold() {
+        return 1000;
+    }
+
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.canvas = d3.select('#diagram-canvas');
+        this.context = this.canvas.node().getContext('2d');
+        this.active = false;
+        this.nodes = [];
+        this.links = [];
+        this.nodeIndex = new Map();
+        this.nodesById = new Map();
+        this.hoveredNode = null;
+        this.quadtree = null;
+        this.maxNodeSize = { width: 0, height: 0 };
+        this.moduleLabels = [];
+        this.badges = [];
+        this.frameRequest = null;
+        this.colors = new Map();
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+
+        this.setupInteraction();
+        window.addEventListener('resize', () => {
+            if (!this.active) return;
+            this.resize();
+            this.requestDraw();
+        });
+    }
+
+    // Pointer handling on the SVG; every handler is a no-op while the SVG renderer is in use
+    setupInteraction() {
+        const visualization = this.visualization;
+
+        visualization.svg
+            .on('mousemove.canvas', event => {
+                if (this.active) this.setHovered(this.hitTest(event)?.node || null);
+            })
+            .on('mouseleave.canvas', () => this.setHovered(null))
+            .on('click.canvas', event => {
+                const hit = this.hitTest(event);
+                if (!hit) return;
+                if (hit.moduleName) {
+                    visualization.toggleModuleCollapse(hit.moduleName);
+                } else if (hit.badge) {
+                    visualization.toggleFold(hit.node, hit.badge.action);
+                } else if (hit.toggle) {
+                    visualization.toggleNodeExpanded(hit.node);
+                } else {
+                    visualization.selectNode(hit.node);
+                }
+            })
+            .on('dblclick.canvas', event => {
+                const node = this.hitTest(event)?.node;
+                if (!node) return;
+                event.stopPropagation();
+                if (node.isModuleSummary) {
+                    visualization.toggleModuleCollapse(node.type.name);
+                } else {
+                    visualization.unpinNode(node);
+                }
+            });
+
+        // Drag coordinates are taken in the zoomed group so they are diagram coordinates
+        visualization.svg.call(d3.drag()
+            .filter(event => this.active && !event.button)
+            .container(() => visualization.container.node())
+            .subject(event => this.findNode(event.x, event.y))
+            .on('start', event => visualization.handleDragStart(event, event.subject))
+            .on('drag', event => {
+                visualization.handleDrag(event, event.subject);
+                this.invalidatePositions();
+            })
+            .on('end', event => visualization.handleDragEnd(event, event.subject)));
+    }
+
+    show(nodes, links) {
+        this.active = true;
+        this.nodes = nodes;
+        this.links = links;
+        this.nodeIndex = new Map(nodes.map((node, index) => [node, index]));
+        this.nodesById = new Map(nodes.map(node => [this.visualization.getNodeId(node), node]));
+        this.hoveredNode = null;
+        this.quadtree = null;
+        this.canvas.classed('active', true);
+        this.resize();
+        this.requestDraw();
+    }
+
+    hide() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.nodes = [];
+        this.links = [];
+        this.nodeIndex.clear();
+        this.nodesById.clear();
+        this.hoveredNode = null;
+        this.quadtree = null;
+        this.moduleLabels = [];
+        this.badges = [];
+        this.canvas.classed('active', false);
+        this.visualization.svg.style('cursor', null);
+    }
+
+    // Matches the canvas to the SVG it covers, at the device pixel ratio
+    resize() {
+        const svg = this.visualization.svg.node();
+        this.width = svg.clientWidth;
+        this.height = svg.clientHeight;
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        this.canvas
+            .style('left', `${svg.offsetLeft}px`)
+            .style('top', `${svg.offsetTop}px`)
+            .style('width', `${this.width}px`)
+            .style('height', `${this.height}px`)
+            .attr('width', Math.round(this.width * this.pixelRatio))
+            .attr('height', Math.round(this.height * this.pixelRatio));
+    }
+
+    // Called when nodes have moved: the hit-test index is rebuilt on the next lookup
+    invalidatePositions() {
+        this.quadtree = null;
+        this.requestDraw();
+    }
+
+    // Any number of changes within a frame are drawn once
+    requestDraw() {
+        if (!this.active || this.frameRequest) return;
+
+        this.frameRequest = requestAnimationFrame(() => {
+            this.frameRequest = null;
+            if (this.active) this.draw();
+        });
+    }
+
+    draw() {
+        const context = this.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+        this.drawScene(context, d3.zoomTransform(this.visualization.svg.node()), this.width, this.height, this.pixelRatio);
+    }
+
+    // PNG-ready copy of the viewport, or of every node in 'graph' mode
+    snapshot(mode, scale) {
+        let transform = d3.zoomTransform(this.visualization.svg.node());
+        let width = this.width;
+        let height = this.height;
+
+        if (mode === 'graph' && this.nodes.length > 0) {
+            const padding = 40;
+            const x0 = d3.min(this.nodes, node => node.x);
+            const y0 = d3.min(this.nodes, node => node.y);
+            width = d3.max(this.nodes, node => node.x + this.visualization.getNodeSize(node).width) - x0 + padding * 2;
+            height = d3.max(this.nodes, node => node.y + this.visualization.getNodeSize(node).height) - y0 + padding * 2;
+            transform = d3.zoomIdentity.translate(padding - x0, padding - y0);
+        }
+
+        // Browsers refuse to allocate canvases much beyond 16k pixels a side
+        const maxSide = 16384;
+        const ratio = Math.min(scale, maxSide / width, maxSide / height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const context = canvas.getContext('2d');
+        this.colors.clear();
+        context.fillStyle = this.resolve('var(--diagram-bg-end)');
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        this.drawScene(context, transform, width, height, ratio);
+        return canvas;
+    }
+
+    // Draws the level of detail SwiftDiagramVisualization.detailLevelFor gives the transform's scale
+    drawScene(context, transform, width, height, ratio) {
+        const k = transform.k;
+        const level = SwiftDiagramVisualization.detailLevelFor(k);
+        const bounds = {
+            x0: -transform.x / k,
+            y0: -transform.y / k,
+            x1: (width - transform.x) / k,
+            y1: (height - transform.y) / k
+        };
+        const state = this.highlightState();
+
+        this.colors.clear();
+        this.fontFamily = getComputedStyle(this.visualization.svg.node()).fontFamily;
+        context.setTransform(ratio * k, 0, 0, ratio * k, ratio * transform.x, ratio * transform.y);
+        context.lineJoin = 'round';
+
+        if (this.visualization.groupByModule) {
+            this.drawModuleBoxes(context);
+        }
+        if (level === 'overview') {
+            this.drawModuleBlobs(context, k);
+        }
+        if (state.cycles) {
+            this.drawCycleOutlines(context, state.cycles);
+        }
+        this.drawLinks(context, bounds, k, level, state);
+        this.drawNodes(context, bounds, level, state);
+        context.globalAlpha = 1;
+    }
+
+    highlightState() {
+        const visualization = this.visualization;
+        return {
+            path: visualization.pathHighlight,
+            impact: visualization.impactHighlight,
+            cycles: visualization.cycleAnalysis,
+            search: visualization.searchHighlightIds,
+            selectedId: visualization.selectedNode ? visualization.getNodeId(visualization.selectedNode) : null,
+            focusedId: visualization.focusedNodeId
+        };
+    }
+
+    // Canvas styles need concrete colours; CSS variables are looked up once per frame
+    resolve(color) {
+        const match = /^var\((--[\w-]+)\)$/.exec(color);
+        if (!match) return color;
+
+        if (!this.colors.has(match[1])) {
+            this.colors.set(match[1], getComputedStyle(document.documentElement).getPropertyValue(match[1]).trim());
+        }
+        return this.colors.get(match[1]);
+    }
+
+    drawModuleBoxes(context) {
+        const visualization = this.visualization;
+        const modules = d3.group(this.nodes.filter(node => !node.isModuleSummary), node => visualization.getModuleName(node));
+        this.moduleLabels = [];
+
+        context.font = `600 13px ${this.fontFamily}`;
+        context.textAlign = 'left';
+        context.textBaseline = 'alphabetic';
+        context.setLineDash([6, 4]);
+        context.lineWidth = 1.5;
+
+        modules.forEach((members, moduleName) => {
+            const { x0, y0, x1, y1 } = visualization.getModuleBox(members);
+            context.beginPath();
+            this.addRect(context, x0, y0, x1 - x0, y1 - y0, 12);
+            context.globalAlpha = 0.25;
+            context.fillStyle = this.resolve('var(--node-module)');
+            context.fill();
+            context.globalAlpha = 1;
+            context.strokeStyle = this.resolve('var(--node-module-border)');
+            context.stroke();
+
+            const label = `${moduleName} (${members.length}) ▾`;
+            context.fillStyle = this.resolve('var(--text-secondary)');
+            context.fillText(label, x0 + 12, y0 + 17);
+            this.moduleLabels.push({ moduleName, x0: x0 + 12, y0, x1: x0 + 12 + context.measureText(label).width, y1: y0 + 24 });
+        });
+        context.setLineDash([]);
+    }
+
+    // Labelled blob around the types of each module, as in the SVG's module-blobs layer
+    drawModuleBlobs(context, k) {
+        const visualization = this.visualization;
+        const modules = d3.group(this.nodes.filter(node => !node.isModuleSummary), node => visualization.getModuleName(node));
+        if (modules.size < 2) return;
+
+        const labels = [];
+        context.lineWidth = 24;
+        modules.forEach((members, moduleName) => {
+            const hull = visualization.getCycleHull(members);
+            const color = visualization.getModuleColor(moduleName);
+            context.beginPath();
+            hull.forEach(([x, y], i) => (i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+            context.closePath();
+            context.fillStyle = color;
+            context.strokeStyle = color;
+            context.globalAlpha = 0.12;
+            context.fill();
+            context.stroke();
+            labels.push({ text: `${moduleName} (${members.length})`, position: d3.polygonCentroid(hull) });
+        });
+
+        // Labels go on top of every blob and keep their on-screen size
+        context.globalAlpha = 1;
+        context.font = `600 ${13 / k}px ${this.fontFamily}`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = this.resolve('var(--text-color)');
+        labels.forEach(({ text, position: [x, y] }) => context.fillText(text, x, y));
+    }
+
+    drawCycleOutlines(context, analysis) {
+        context.setLineDash([8, 4]);
+        context.lineWidth = 2;
+
+        analysis.cycles.forEach((cycle, index) => {
+            const members = cycle.members.map(id => this.nodesById.get(id)).filter(Boolean);
+            const hull = members.length > 0 ? this.visualization.getCycleHull(members) : null;
+            if (!hull) return;
+
+            const color = this.visualization.getCycleColor(index);
+            context.beginPath();
+            hull.forEach(([x, y], i) => (i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+            context.closePath();
+            context.globalAlpha = 0.08;
+            context.fillStyle = color;
+            context.fill();
+            context.globalAlpha = 1;
+            context.strokeStyle = color;
+            context.stroke();
+        });
+        context.setLineDash([]);
+    }
+
+    linkStyle(link, state) {
+        const visualization = this.visualization;
+        const kindStyle = RelationshipKinds.style(link.kind);
+        const style = {
+            color: kindStyle.color,
+            dash: kindStyle.dash,
+            width: link.count ? Math.min(2 + Math.log2(link.count) * 2, 10) : (link.kind === 'contains' ? 3 : 2),
+            alpha: 1
+        };
+
+        if (link.diffStatus === 'added') {
+            style.color = this.resolve('var(--diff-added)');
+        } else if (link.diffStatus === 'removed') {
+            style.color = this.resolve('var(--diff-removed)');
+            style.dash = '4,4';
+            style.alpha = 0.6;
+        }
+
+        if (state.path || state.cycles) {
+            const key = visualization.edgeKey(visualization.getNodeId(link.source), link.kind, visualization.getNodeId(link.target));
+            if (state.cycles?.edges.has(key)) {
+                style.width = 3;
+                if (state.cycles.closingEdges.has(key)) style.color = this.resolve('var(--error-color)');
+            }
+            if (state.path?.edges.has(key)) {
+                style.color = this.resolve('var(--warning-color)');
+                style.width = 4;
+            } else if (state.path) {
+                style.alpha = 0.2;
+            }
+        }
+        return style;
+    }
+
+    // Links are batched by style so 20k edges take one stroke call per colour and dash
+    drawLinks(context, bounds, k, level, state) {
+        const visualization = this.visualization;
+        const batches = new Map();
+        const counts = [];
+
+        this.links.forEach(link => {
+            if (visualization.hiddenRelationshipKinds.has(link.kind)) return;
+
+            const sourceSize = visualization.getNodeSize(link.source);
+            const targetSize = visualization.getNodeSize(link.target);
+            const x1 = link.source.x + sourceSize.width / 2;
+            const y1 = link.source.y + sourceSize.height / 2;
+            const x2 = link.target.x + targetSize.width / 2;
+            const y2 = link.target.y + targetSize.height / 2;
+            if (Math.max(x1, x2) < bounds.x0 || Math.min(x1, x2) > bounds.x1 ||
+                Math.max(y1, y2) < bounds.y0 || Math.min(y1, y2) > bounds.y1) {
+                return;
+            }
+
+            const style = this.linkStyle(link, state);
+            const key = `${style.color}|${style.dash}|${style.width}|${style.alpha}`;
+            if (!batches.has(key)) batches.set(key, { style, segments: [] });
+            batches.get(key).segments.push({ x1, y1, x2, y2, halfWidth: targetSize.width / 2, halfHeight: targetSize.height / 2 });
+
+            if (link.count) {
+                counts.push({ text: String(link.count), x: (x1 + x2) / 2, y: (y1 + y2) / 2, alpha: style.alpha });
+            }
+        });
+
+        const arrows = level !== 'overview';
+        batches.forEach(({ style, segments }) => {
+            context.globalAlpha = style.alpha;
+            context.strokeStyle = style.color;
+            context.fillStyle = style.color;
+            context.lineWidth = style.width;
+            context.setLineDash(style.dash ? style.dash.split(',').map(Number) : []);
+
+            context.beginPath();
+            segments.forEach(segment => {
+                context.moveTo(segment.x1, segment.y1);
+                context.lineTo(segment.x2, segment.y2);
+            });
+            context.stroke();
+
+            if (arrows) {
+                context.beginPath();
+                segments.forEach(segment => this.addArrowhead(context, segment));
+                context.fill();
+            }
+        });
+        context.setLineDash([]);
+
+        if (counts.length > 0 && k >= SwiftDiagramVisualization.detailLevels.edgeLabels) {
+            context.font = `600 11px ${this.fontFamily}`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillStyle = this.resolve('var(--text-secondary)');
+            counts.forEach(count => {
+                context.globalAlpha = count.alpha;
+                context.fillText(count.text, count.x, count.y);
+            });
+        }
+        context.globalAlpha = 1;
+    }
+
+    // Arrow tip where the link enters the target's box
+    addArrowhead(context, { x1, y1, x2, y2, halfWidth, halfHeight }) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+
+        const t = Math.min(dx ? halfWidth / Math.abs(dx) : Infinity, dy ? halfHeight / Math.abs(dy) : Infinity);
+        if (t >= 1) return;
+
+        const tipX = x2 - dx * t;
+        const tipY = y2 - dy * t;
+        const ux = dx / length;
+        const uy = dy / length;
+        const size = 10;
+        context.moveTo(tipX, tipY);
+        context.lineTo(tipX - ux * size - uy * size / 2, tipY - uy * size + ux * size / 2);
+        context.lineTo(tipX - ux * size + uy * size / 2, tipY - uy * size - ux * size / 2);
+        context.closePath();
+    }
+
+    // Mirrors the .node rules of the stylesheet, later rules winning
+    nodeStyle(node, state) {
+        const visualization = this.visualization;
+        const id = visualization.getNodeId(node);
+        const style = {
+            fill: visualization.getNodeFill(node),
+            stroke: 'var(--node-border)',
+            width: 2,
+            dash: null,
+            alpha: 1
+        };
+
+        if (visualization.pinnedPositions.has(id)) {
+            style.stroke = 'var(--text-secondary)';
+            style.width = 2.5;
+        }
+        if (node.diff) {
+            const status = node.diff.status;
+            if (status === 'unchanged') {
+                style.alpha = 0.7;
+            } else {
+                style.stroke = `var(--diff-${status})`;
+                style.width = 3;
+                if (status === 'removed') {
+                    style.dash = '6,3';
+                    style.alpha = 0.6;
+                }
+            }
+        }
+        if (node === this.hoveredNode) {
+            style.stroke = 'var(--node-hover)';
+            style.width = 3;
+        }
+        if (state.search?.has(id)) {
+            style.stroke = 'var(--primary-color)';
+            style.width = 3;
+        }
+        if (state.path) {
+            if (state.path.nodes.has(id)) {
+                style.stroke = 'var(--warning-color)';
+                style.width = 4;
+            } else {
+                style.alpha = 0.2;
+            }
+        }
+        if (state.impact) {
+            const distance = state.impact.distances.get(id);
+            if (distance) {
+                style.fill = visualization.getImpactColor(distance, state.impact.maxDepth);
+            } else if (id === state.impact.root) {
+                style.stroke = 'var(--primary-color)';
+                style.width = 4;
+            } else {
+                style.alpha = 0.25;
+            }
+        }
+        if (id === state.selectedId) {
+            style.stroke = 'var(--node-selected)';
+            style.width = 3;
+        }
+        if (id === state.focusedId) {
+            style.stroke = '#ff6b6b';
+            style.width = 4;
+        }
+
+        style.fill = this.resolve(style.fill);
+        style.stroke = this.resolve(style.stroke);
+        return style;
+    }
+
+    drawNodes(context, bounds, level, state) {
+        const visualization = this.visualization;
+        const visible = [];
+        this.badges = [];
+        this.nodes.forEach(node => {
+            const size = visualization.getNodeSize(node);
+            if (node.x + size.width < bounds.x0 || node.x > bounds.x1 ||
+                node.y + size.height < bounds.y0 || node.y > bounds.y1) {
+                return;
+            }
+            visible.push({ node, size, style: this.nodeStyle(node, state) });
+        });
+
+        // Zoomed out, types are dots in the middle of where their box would be
+        const addShape = level === 'overview'
+            ? d => {
+                const radius = 24 * visualization.getMetricScale(d.node);
+                const x = d.node.x + d.size.width / 2;
+                const y = d.node.y + d.size.height / 2;
+                context.moveTo(x + radius, y);
+                context.arc(x, y, radius, 0, 2 * Math.PI);
+            }
+            : d => this.addRect(context, d.node.x, d.node.y, d.size.width, d.size.height, 8);
+
+        d3.group(visible, d => `${d.style.fill}|${d.style.alpha}`).forEach(group => {
+            context.globalAlpha = group[0].style.alpha;
+            context.fillStyle = group[0].style.fill;
+            context.beginPath();
+            group.forEach(addShape);
+            context.fill();
+        });
+
+        d3.group(visible, d => `${d.style.stroke}|${d.style.width}|${d.style.dash}|${d.style.alpha}`).forEach(group => {
+            const { stroke, width, dash, alpha } = group[0].style;
+            context.globalAlpha = alpha;
+            context.strokeStyle = stroke;
+            context.lineWidth = width;
+            context.setLineDash(dash ? dash.split(',').map(Number) : []);
+            context.beginPath();
+            group.forEach(addShape);
+            context.stroke();
+        });
+        context.setLineDash([]);
+
+        if (level !== 'overview') {
+            this.drawLabels(context, visible, level);
+        }
+        context.globalAlpha = 1;
+    }
+
+    addRect(context, x, y, width, height, radius) {
+        if (radius > 0 && context.roundRect) {
+            context.roundRect(x, y, width, height, radius);
+        } else {
+            context.rect(x, y, width, height);
+        }
+    }
+
+    // The same header lines and member rows as SwiftDiagramVisualization.addNodeContent
+    drawLabels(context, visible, level) {
+        const visualization = this.visualization;
+        const { showProperties, showMethods, showInitializers } = visualization.displayOptions;
+        const textColor = this.resolve('var(--text-color)');
+        const borderColor = this.resolve('var(--border-color)');
+        const toggleColor = this.resolve('var(--primary-color)');
+        const monospace = "'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace";
+        context.textBaseline = 'middle';
+
+        visible.forEach(({ node, size, style }) => {
+            this.drawFoldBadges(context, node, style);
+            const centerX = node.x + size.width / 2;
+            context.globalAlpha = style.alpha;
+            context.fillStyle = textColor;
+            context.textAlign = 'center';
+            context.font = `600 14px ${this.fontFamily}`;
+            context.fillText(node.type.name, centerX, node.y + 20);
+            context.font = `10px ${this.fontFamily}`;
+            context.fillText(`<<${node.type.kind}>>`, centerX, node.y + 35);
+            if (level !== 'detail') return;
+
+            context.globalAlpha = style.alpha * 0.7;
+            context.font = `9px ${this.fontFamily}`;
+            context.fillText(visualization.getNodeSummary(node), centerX, node.y + 50);
+            context.globalAlpha = style.alpha;
+
+            const layout = visualization.getCompartmentLayout(node, showProperties, showMethods, showInitializers);
+            if (layout.dividers.length > 0) {
+                context.strokeStyle = borderColor;
+                context.lineWidth = 1;
+                context.beginPath();
+                layout.dividers.forEach(y => {
+                    context.moveTo(node.x, node.y + y);
+                    context.lineTo(node.x + size.width, node.y + y);
+                });
+                context.stroke();
+            }
+
+            context.textAlign = 'left';
+            context.font = `10px ${monospace}`;
+            layout.rows.forEach(row => {
+                const x = node.x + 8;
+                const y = node.y + row.y;
+                context.fillStyle = row.isToggle ? toggleColor : textColor;
+                context.fillText(row.text, x, y);
+                if (row.isStatic) {
+                    context.fillRect(x, y + 6, context.measureText(row.text).width, 1);
+                }
+            });
+        });
+    }
+
+    // The pills of SwiftDiagramVisualization.getFoldBadges, recorded for hit-testing
+    drawFoldBadges(context, node, style) {
+        this.visualization.getFoldBadges(node).forEach(badge => {
+            const x = node.x + badge.x;
+            const y = node.y + badge.y;
+            context.globalAlpha = style.alpha;
+            context.beginPath();
+            this.addRect(context, x, y, badge.width, badge.height, badge.height / 2);
+            context.fillStyle = this.resolve(badge.folded ? 'var(--primary-color)' : 'var(--card-bg)');
+            context.fill();
+            context.strokeStyle = this.resolve('var(--primary-color)');
+            context.lineWidth = 1;
+            context.stroke();
+            context.fillStyle = badge.folded ? '#fff' : this.resolve('var(--primary-color)');
+            context.font = `600 10px ${this.fontFamily}`;
+            context.textAlign = 'center';
+            context.fillText(badge.text, x + badge.width / 2, y + badge.height / 2);
+            this.badges.push({ node, badge, x0: x, y0: y, x1: x + badge.width, y1: y + badge.height });
+        });
+    }
+
+    buildQuadtree() {
+        this.quadtree = d3.quadtree(this.nodes.filter(node => node.x !== undefined), node => node.x, node => node.y);
+        this.maxNodeSize = {
+            width: d3.max(this.nodes, node => this.visualization.getNodeSize(node).width) || 0,
+            height: d3.max(this.nodes, node => this.visualization.getNodeSize(node).height) || 0
+        };
+    }
+
+    // Topmost node whose box contains the diagram point, or null
+    findNode(x, y) {
+        if (!this.active) return null;
+        if (!this.quadtree) this.buildQuadtree();
+
+        // Nodes are indexed by their top-left corner, so only corners up to the
+        // largest node size above and to the left of the point can contain it
+        const { width, height } = this.maxNodeSize;
+        let found = null;
+        this.quadtree.visit((quad, qx0, qy0, qx1, qy1) => {
+            if (!quad.length) {
+                let leaf = quad;
+                do {
+                    const node = leaf.data;
+                    const size = this.visualization.getNodeSize(node);
+                    if (x >= node.x && x <= node.x + size.width && y >= node.y && y <= node.y + size.height &&
+                        (!found || this.nodeIndex.get(node) > this.nodeIndex.get(found))) {
+                        found = node;
+                    }
+                } while ((leaf = leaf.next));
+            }
+            return qx0 > x || qy0 > y || qx1 < x - width || qy1 < y - height;
+        });
+        return found;
+    }
+
+    // Returns { node, toggle } for a node, { node, badge } for a fold badge, { moduleName }
+    // for a module label, or null
+    hitTest(event) {
+        if (!this.active) return null;
+
+        const svg = this.visualization.svg.node();
+        const transform = d3.zoomTransform(svg);
+        const [x, y] = transform.invert(d3.pointer(event, svg));
+
+        const node = this.findNode(x, y);
+        if (node) {
+            return { node, toggle: SwiftDiagramVisualization.detailLevelFor(transform.k) === 'detail' && this.isOnToggle(node, x, y) };
+        }
+
+        const badge = this.badges.find(box => x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1);
+        if (badge) {
+            return { node: badge.node, badge: badge.badge, toggle: false };
+        }
+
+        const label = this.moduleLabels.find(box => x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1);
+        return label ? { moduleName: label.moduleName } : null;
+    }
+
+    isOnToggle(node, x, y) {
+        const { showProperties, showMethods, showInitializers } = this.visualization.displayOptions;
+        const halfLine = SwiftDiagramVisualization.memberLineHeight / 2;
+        return this.visualization.getCompartmentLayout(node, showProperties, showMethods, showInitializers).rows
+            .some(row => row.isToggle && Math.abs(node.y + row.y - y) <= halfLine && x >= node.x);
+    }
+
+    setHovered(node) {
+        if (node === this.hoveredNode) return;
+
+        this.hoveredNode = node;
+        this.visualization.svg.style('cursor', node ? 'pointer' : null);
+        this.requestDraw();
+    }
+}
@@ -0,0 +1,202 @@
+// Which types conform to which protocols: declared on the type, declared in an extension,
+// or inherited from a superclass or through a protocol the type conforms to that refines it.
+// Rows are conforming types, columns protocols; extension nodes count towards their type.
+class ConformanceMatrix {
+    // Relationship details the analyzer writes on conformances only an extension declares
+    static get extensionDetails() {
+        return 'declared in extension';
+    }
+
+    static get statuses() {
+        return [
+            { status: 'direct', symbol: '●', label: 'Declared on the type' },
+            { status: 'extension', symbol: '◆', label: 'Declared in an extension' },
+            { status: 'inherited', symbol: '○', label: 'Inherited' }
+        ];
+    }
+
+    static symbol(status) {
+        return ConformanceMatrix.statuses.find(entry => entry.status === status)?.symbol || '';
+    }
+
+    // `edges` are { source, target, kind, details } between node ids of `nodes`
+    constructor(nodes, edges, getId) {
+        this.getId = getId;
+        this.nodesById = new Map(nodes.map(node => [getId(node), node]));
+        this.edges = edges;
+
+        const isProtocol = id => this.nodesById.get(id)?.type.kind === 'protocol';
+        const baseIds = new Map(nodes.filter(node => node.type.kind !== 'extension').map(node => [node.type.name, getId(node)]));
+        this.rowIdOf = id => {
+            const node = this.nodesById.get(id);
+            return node.type.kind === 'extension' ? (baseIds.get(node.type.name) ?? id) : id;
+        };
+
+        const declared = new Map();
+        const superclasses = new Map();
+        const refinements = new Map();
+        const add = (map, key, value) => {
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(value);
+        };
+
+        edges.forEach(edge => {
+            if (edge.source === edge.target || !this.nodesById.has(edge.source) || !this.nodesById.has(edge.target)) return;
+
+            if (isProtocol(edge.source)) {
+                if (isProtocol(edge.target) && TypeTree.subtypeKinds.has(edge.kind)) {
+                    add(refinements, edge.source, edge.target);
+                }
+                return;
+            }
+
+            const rowId = this.rowIdOf(edge.source);
+            if (edge.kind === 'inherits' && !isProtocol(edge.target)) {
+                add(superclasses, rowId, edge.target);
+            } else if (TypeTree.subtypeKinds.has(edge.kind)) {
+                // `implements` repeats a conformance, so it only counts when nothing else declares it
+                const fromExtension = edge.details === ConformanceMatrix.extensionDetails ||
+                    this.nodesById.get(edge.source).type.kind === 'extension';
+                const source = edge.kind === 'implements' ? 'implied' : (fromExtension ? 'extension' : 'direct');
+                if (!declared.has(rowId)) declared.set(rowId, new Map());
+                const sources = declared.get(rowId);
+                if (!sources.has(edge.target)) sources.set(edge.target, new Set());
+                sources.get(edge.target).add(source);
+            }
+        });
+
+        this.cells = new Map();
+        const resolve = (id, visiting = new Set()) => {
+            if (this.cells.has(id)) return this.cells.get(id);
+            if (visiting.has(id)) return new Map();
+            visiting.add(id);
+
+            const cells = new Map();
+            (declared.get(id) || new Map()).forEach((sources, protocolId) => {
+                const status = sources.has('direct') || !sources.has('extension') ? 'direct' : 'extension';
+                cells.set(protocolId, { status, via: null });
+            });
+            (superclasses.get(id) || []).forEach(superclassId => {
+                resolve(superclassId, visiting).forEach((cell, protocolId) => {
+                    if (!cells.has(protocolId)) cells.set(protocolId, { status: 'inherited', via: superclassId });
+                });
+            });
+
+            const queue = [...cells.keys()];
+            while (queue.length > 0) {
+                const protocolId = queue.shift();
+                (refinements.get(protocolId) || []).forEach(refinedId => {
+                    if (!cells.has(refinedId)) {
+                        cells.set(refinedId, { status: 'inherited', via: protocolId });
+                        queue.push(refinedId);
+                    }
+                });
+            }
+
+            visiting.delete(id);
+            this.cells.set(id, cells);
+            return cells;
+        };
+
+        this.rows = [];
+        const columns = new Set();
+        nodes.forEach(node => {
+            const id = getId(node);
+            if (isProtocol(id) || this.rowIdOf(id) !== id) return;
+            const cells = resolve(id);
+            if (cells.size === 0) return;
+            this.rows.push(id);
+            cells.forEach((cell, protocolId) => columns.add(protocolId));
+        });
+        this.columns = [...columns];
+
+        this.conformers = new Map(this.columns.map(protocolId => [protocolId, new Set()]));
+        this.rows.forEach(rowId => this.cells.get(rowId).forEach((cell, protocolId) => this.conformers.get(protocolId).add(rowId)));
+    }
+
+    name(id) {
+        return this.nodesById.get(id)?.type.name || id;
+    }
+
+    cell(rowId, protocolId) {
+        return this.cells.get(rowId)?.get(protocolId) || null;
+    }
+
+    // `by` is 'name', 'count' or 'cluster'
+    rowOrder(by) {
+        return this.order(this.rows, rowId => new Set(this.cells.get(rowId).keys()), by);
+    }
+
+    columnOrder(by) {
+        return this.order(this.columns, protocolId => this.conformers.get(protocolId), by);
+    }
+
+    order(ids, setOf, by) {
+        const sets = new Map(ids.map(id => [id, setOf(id)]));
+        const byName = (a, b) => d3.ascending(this.name(a), this.name(b));
+        if (by === 'count') {
+            return [...ids].sort((a, b) => d3.descending(sets.get(a).size, sets.get(b).size) || byName(a, b));
+        }
+        if (by === 'cluster') {
+            return ConformanceMatrix.cluster([...ids].sort(byName), id => sets.get(id));
+        }
+        return [...ids].sort(byName);
+    }
+
+    // Greedy seriation: starts with the largest set and keeps appending the remaining item
+    // most similar to the last one (Jaccard), so items with the same conformances end up together
+    static cluster(ids, setOf) {
+        const similarity = (a, b) => {
+            let shared = 0;
+            a.forEach(value => {
+                if (b.has(value)) shared++;
+            });
+            const union = a.size + b.size - shared;
+            return union > 0 ? shared / union : 0;
+        };
+
+        const remaining = new Set(ids);
+        const result = [];
+        let current = d3.greatest(ids, id => setOf(id).size);
+        while (current !== undefined) {
+            result.push(current);
+            remaining.delete(current);
+
+            let best;
+            let bestScore = -1;
+            remaining.forEach(id => {
+                const score = similarity(setOf(current), setOf(id)) + setOf(id).size * 1e-6;
+                if (score > bestScore) {
+                    best = id;
+                    bestScore = score;
+                }
+            });
+            current = best;
+        }
+        return result;
+    }
+
+    // How the type conforms, the members that fulfil the protocol and what the protocol requires
+    evidence(rowId, protocolId) {
+        const sourceIds = new Set([...this.nodesById.keys()].filter(id => this.rowIdOf(id) === rowId));
+        return {
+            cell: this.cell(rowId, protocolId),
+            fulfills: this.edges
+                .filter(edge => edge.kind === 'fulfills' && sourceIds.has(edge.source) && edge.target === protocolId)
+                .map(edge => edge.details || `${this.name(edge.source)} fulfills ${this.name(protocolId)}`),
+            requirements: this.edges
+                .filter(edge => (edge.kind === 'requires_method' || edge.kind === 'requires_property') && edge.source === protocolId)
+                .map(edge => edge.details || `requires ${this.name(edge.target)}`)
+        };
+    }
+
+    describe(cell, protocolId) {
+        if (!cell) return 'Does not conform';
+        if (cell.status === 'direct') return 'Declared on the type';
+        if (cell.status === 'extension') return 'Declared in an extension';
+        if (this.nodesById.get(cell.via)?.type.kind === 'protocol') {
+            return `Through ${this.name(cell.via)}, which refines ${this.name(protocolId)}`;
+        }
+        return `Inherited from superclass ${this.name(cell.via)}`;
+    }
+}
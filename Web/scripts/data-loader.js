@@ -3,7 +3,33 @@ class DataLoader {
     constructor() {
         this.setupFileUpload();
         this.setupFileSelector();
+        this.setupCompare();
         this.loadAvailableFiles();
+        
+        // Deep links: restore the state in the URL hash and follow back/forward
+        this.pendingUrlState = null;
+        window.addEventListener('popstate', () => this.restoreFromUrl());
+        this.restoreFromUrl();
+    }
+    
+    // Loads the files named in the hash unless they are already shown, then applies the rest of the state
+    restoreFromUrl() {
+        const state = UrlState.parse(window.location.hash);
+        const visualization = window.diagramVisualization;
+        const files = state.file || [];
+        
+        if (visualization && files.join(',') === (visualization.files || []).join(',')) {
+            visualization.applyUrlState(state);
+            return;
+        }
+        if (files.length === 0) return;
+        
+        this.pendingUrlState = state;
+        if (files.length === 1) {
+            this.loadJSONFile(files[0]);
+        } else {
+            this.loadJSONFiles(files);
+        }
     }
     
     setupFileUpload() {
@@ -27,7 +53,7 @@ class DataLoader {
                 uploadArea.classList.remove('dragover');
                 const files = e.dataTransfer.files;
                 if (files.length > 0) {
-                    this.handleFileUpload(files[0]);
+                    this.handleFileUpload(files);
                 }
             });
             
@@ -38,7 +64,7 @@ class DataLoader {
             
             fileInput.addEventListener('change', (e) => {
                 if (e.target.files.length > 0) {
-                    this.handleFileUpload(e.target.files[0]);
+                    this.handleFileUpload(e.target.files);
                 }
             });
         }
@@ -50,15 +76,37 @@ class DataLoader {
         if (loadButton) {
             loadButton.addEventListener('click', () => {
                 const selector = document.getElementById('json-file-selector');
-                const selectedFile = selector.value;
+                const selectedFiles = Array.from(selector.selectedOptions)
+                    .map(option => option.value)
+                    .filter(Boolean);
                 
-                if (selectedFile) {
-                    this.loadJSONFile(selectedFile);
+                if (selectedFiles.length === 1) {
+                    this.loadJSONFile(selectedFiles[0]);
+                } else if (selectedFiles.length > 1) {
+                    this.loadJSONFiles(selectedFiles);
                 }
             });
         }
     }
     
+    setupCompare() {
+        const compareButton = document.getElementById('compare-button');
+        
+        if (compareButton) {
+            compareButton.addEventListener('click', () => {
+                const beforeFile = document.getElementById('compare-before-input').files[0];
+                const afterFile = document.getElementById('compare-after-input').files[0];
+                
+                if (!beforeFile || !afterFile) {
+                    this.showError('Please select both a "before" and an "after" JSON file.');
+                    return;
+                }
+                
+                this.handleCompareUpload(beforeFile, afterFile);
+            });
+        }
+    }
+    
     async loadAvailableFiles() {
         try {
             // Try to load a list of available JSON files
@@ -101,18 +149,26 @@ class DataLoader {
             .replace(/\b\w/g, l => l.toUpperCase());
     }
     
-    async handleFileUpload(file) {
-        if (!file.name.endsWith('.json')) {
-            this.showError('Please select a JSON file.');
+    async handleFileUpload(fileList) {
+        const files = Array.from(fileList);
+        if (files.some(file => !file.name.endsWith('.json'))) {
+            this.showError('Please select JSON files only.');
             return;
         }
         
         this.showLoading(true);
         
         try {
-            const text = await file.text();
-            const data = JSON.parse(text);
-            this.validateAndLoadData(data);
+            if (files.length === 1) {
+                const data = await this.readJSONFile(files[0]);
+                this.validateAndLoadData(data, files[0].name);
+            } else {
+                const analyses = [];
+                for (const file of files) {
+                    analyses.push({ fileName: file.name, data: await this.readJSONFile(file) });
+                }
+                this.mergeAndLoadData(analyses);
+            }
         } catch (error) {
             this.showError(`Error reading file: ${error.message}`);
         } finally {
@@ -120,6 +176,68 @@ class DataLoader {
         }
     }
     
+    async loadJSONFiles(fileNames) {
+        this.showLoading(true);
+        
+        try {
+            const analyses = [];
+            for (const fileName of fileNames) {
+                const response = await fetch(fileName);
+                if (!response.ok) {
+                    throw new Error(`HTTP error loading ${fileName}! status: ${response.status}`);
+                }
+                analyses.push({ fileName, data: await response.json() });
+            }
+            this.mergeAndLoadData(analyses, fileNames);
+        } catch (error) {
+            this.showError(`Error loading files: ${error.message}`);
+        } finally {
+            this.pendingUrlState = null;
+            this.showLoading(false);
+        }
+    }
+    
+    // Validates each analysis, then loads them as one workspace keyed by module and type name.
+    // `files` are set when the analyses were fetched from the server and can be deep-linked.
+    mergeAndLoadData(analyses, files = null) {
+        analyses.forEach(({ fileName, data }) => {
+            try {
+                this.validateData(data);
+            } catch (error) {
+                throw new Error(`${fileName}: ${error.message}`);
+            }
+        });
+        
+        const sourceName = analyses.map(analysis => analysis.fileName).sort().join('+');
+        this.validateAndLoadData(WorkspaceMerger.merge(analyses), sourceName, files);
+    }
+    
+    async handleCompareUpload(beforeFile, afterFile) {
+        this.showLoading(true);
+        
+        try {
+            const before = await this.readJSONFile(beforeFile);
+            const after = await this.readJSONFile(afterFile);
+            this.validateData(before);
+            this.validateData(after);
+            
+            this.validateAndLoadData(ArchitectureDiff.compare(before, after), afterFile.name);
+        } catch (error) {
+            this.showError(`Error comparing files: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+    
+    async readJSONFile(file) {
+        if (!file.name.endsWith('.json')) {
+            throw new Error(`${file.name} is not a JSON file`);
+        }
+        
+        const text = await file.text();
+        return JSON.parse(text);
+    }
+    
     async loadJSONFile(fileName) {
         this.showLoading(true);
         
@@ -130,15 +248,27 @@ class DataLoader {
             }
             
             const data = await response.json();
-            this.validateAndLoadData(data);
+            this.validateAndLoadData(data, fileName, [fileName]);
         } catch (error) {
             this.showError(`Error loading ${fileName}: ${error.message}`);
         } finally {
+            this.pendingUrlState = null;
             this.showLoading(false);
         }
     }
     
-    validateAndLoadData(data) {
+    // `sourceName` identifies the analysis, e.g. for saving its manual layout
+    validateAndLoadData(data, sourceName, files = null) {
+        this.validateData(data);
+        
+        // Hide upload area and show diagram
+        this.hideUploadArea();
+        
+        // Initialize the diagram with new data
+        this.initializeDiagram(data, sourceName, files);
+    }
+    
+    validateData(data) {
         // Validate data structure
         if (!data || !data.nodes || !Array.isArray(data.nodes)) {
             throw new Error('Invalid data format: Expected object with "nodes" array');
@@ -150,39 +280,47 @@ class DataLoader {
                 throw new Error('Invalid node structure: Each node must have type.name');
             }
         }
-        
-        // Hide upload area and show diagram
-        this.hideUploadArea();
-        
-        // Initialize the diagram with new data
-        this.initializeDiagram(data);
     }
     
     hideUploadArea() {
         const uploadArea = document.getElementById('file-upload-area');
         const jsonSelector = document.querySelector('.json-selector');
+        const compareSelector = document.querySelector('.compare-selector');
         
         if (uploadArea) uploadArea.style.display = 'none';
         if (jsonSelector) jsonSelector.style.display = 'none';
+        if (compareSelector) compareSelector.style.display = 'none';
     }
     
     showUploadArea() {
         const uploadArea = document.getElementById('file-upload-area');
         const jsonSelector = document.querySelector('.json-selector');
+        const compareSelector = document.querySelector('.compare-selector');
         
         if (uploadArea) uploadArea.style.display = 'block';
         if (jsonSelector) jsonSelector.style.display = 'flex';
+        if (compareSelector) compareSelector.style.display = 'flex';
     }
     
-    initializeDiagram(data) {
+    initializeDiagram(data, sourceName, files = null) {
         // Initialize enhanced UI features
         if (typeof EnhancedUI !== 'undefined') {
             new EnhancedUI();
         }
         
-        // Initialize the main diagram visualization
-        if (typeof SwiftDiagramVisualization !== 'undefined') {
-            window.diagramVisualization = new SwiftDiagramVisualization(data);
+        // Initialize the main diagram visualization, or update the one on screen in place
+        if (window.diagramVisualization) {
+            window.diagramVisualization.updateData(data, {
+                sourceName,
+                files,
+                urlState: this.pendingUrlState
+            });
+        } else if (typeof SwiftDiagramVisualization !== 'undefined') {
+            window.diagramVisualization = new SwiftDiagramVisualization(data, {
+                sourceName,
+                files,
+                urlState: this.pendingUrlState
+            });
         } else {
             this.showError('Diagram visualization not available');
         }
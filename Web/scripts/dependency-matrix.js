@@ -0,0 +1,85 @@
+// Dependency structure matrix: cell (row, column) counts the edges from the row's types to
+// the column's types by relationship kind. Items are ordered so that dependencies come
+// before their dependents, which leaves marks below the diagonal except inside cycles;
+// those are kept together as blocks on the diagonal.
+class DependencyMatrix {
+    // `edges` are { source, target, kind } between node ids of `nodes`. `groupOf(node)` names
+    // the item a node is counted in, e.g. its module; without it every type is an item.
+    constructor(nodes, edges, getId, groupOf = null) {
+        this.aggregated = groupOf !== null;
+        const itemOf = new Map(nodes.map(node => [getId(node), groupOf ? groupOf(node) : getId(node)]));
+        this.labels = new Map(nodes.map(node => groupOf
+            ? [groupOf(node), groupOf(node)]
+            : [getId(node), node.type.name]));
+        this.cells = new Map();
+        this.maxCount = 0;
+        this.edgeCount = 0;
+
+        edges.forEach(edge => {
+            const row = itemOf.get(edge.source);
+            const column = itemOf.get(edge.target);
+            if (row === undefined || column === undefined || edge.source === edge.target) return;
+
+            if (!this.cells.has(row)) this.cells.set(row, new Map());
+            const cells = this.cells.get(row);
+            if (!cells.has(column)) cells.set(column, { count: 0, kinds: new Map(), edges: [] });
+            const cell = cells.get(column);
+            cell.count++;
+            cell.kinds.set(edge.kind, (cell.kinds.get(edge.kind) || 0) + 1);
+            cell.edges.push(edge);
+            this.maxCount = Math.max(this.maxCount, cell.count);
+            this.edgeCount++;
+        });
+
+        this.partition();
+    }
+
+    // Orders items by layer, the longest dependency chain below them, keeping each strongly
+    // connected component together. `blocks` are the components with more than one item.
+    partition() {
+        const items = [...this.labels.keys()];
+        const adjacency = new Map(items.map(item => [item, []]));
+        this.cells.forEach((cells, row) => cells.forEach((cell, column) => {
+            if (row !== column) adjacency.get(row).push({ to: column });
+        }));
+
+        const { components } = GraphAlgorithms.stronglyConnectedComponents(adjacency);
+        const componentOf = new Map();
+        components.forEach((members, index) => members.forEach(member => componentOf.set(member, index)));
+
+        // Components come dependencies first, so every dependency's layer is known already
+        const layers = components.map(() => 0);
+        components.forEach((members, index) => {
+            members.forEach(member => adjacency.get(member).forEach(({ to }) => {
+                const dependency = componentOf.get(to);
+                if (dependency !== index) layers[index] = Math.max(layers[index], layers[dependency] + 1);
+            }));
+        });
+
+        const byLabel = (a, b) => d3.ascending(this.labels.get(a), this.labels.get(b));
+        const ordered = components
+            .map((members, index) => ({ members: members.sort(byLabel), layer: layers[index] }))
+            .sort((a, b) => a.layer - b.layer || byLabel(a.members[0], b.members[0]));
+
+        this.order = ordered.flatMap(component => component.members);
+        this.layerOf = new Map();
+        this.blocks = [];
+        let start = 0;
+        ordered.forEach(component => {
+            component.members.forEach(member => this.layerOf.set(member, component.layer));
+            if (component.members.length > 1) {
+                this.blocks.push({ start, size: component.members.length });
+            }
+            start += component.members.length;
+        });
+    }
+
+    cell(row, column) {
+        return this.cells.get(row)?.get(column) || null;
+    }
+
+    // The kind with the most edges in the cell
+    static dominantKind(cell) {
+        return d3.greatest(cell.kinds, ([, count]) => count)[0];
+    }
+}
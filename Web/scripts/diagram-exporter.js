@@ -0,0 +1,124 @@
+// SVG and PNG export of the rendered diagram
+class DiagramExporter {
+    constructor(visualization) {
+        this.visualization = visualization;
+    }
+
+    // Presentation properties copied from computed styles so the exported file
+    // renders on its own, without the page stylesheet or CSS variables
+    static get inlinedProperties() {
+        return [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+            'opacity', 'font-family', 'font-size', 'font-weight', 'font-style',
+            'text-anchor', 'dominant-baseline', 'paint-order', 'visibility', 'display'
+        ];
+    }
+
+    exportSVG(mode) {
+        if (this.visualization.canvasRenderer.active) {
+            throw new Error('Large diagrams are drawn on a canvas; export a PNG or switch the renderer to SVG');
+        }
+        const { markup } = this.serialize(mode);
+        this.visualization.downloadFile(`${this.baseFileName()}.svg`, markup, 'image/svg+xml');
+    }
+
+    async exportPNG(mode, scale = 2) {
+        const renderer = this.visualization.canvasRenderer;
+        const canvas = renderer.active ? renderer.snapshot(mode, scale) : await this.rasterize(mode, scale);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        this.visualization.downloadFile(`${this.baseFileName()}.png`, blob, 'image/png');
+    }
+
+    async rasterize(mode, scale) {
+        const { markup, width, height } = this.serialize(mode);
+        const image = await this.loadImage(markup);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        return canvas;
+    }
+
+    // `mode` is 'viewport' (what is on screen) or 'graph' (bounding box of every rendered element)
+    serialize(mode) {
+        const svg = this.visualization.svg.node();
+        const clone = svg.cloneNode(true);
+        this.inlineStyles(svg, clone);
+
+        let width;
+        let height;
+        const content = clone.querySelector(':scope > g');
+
+        if (mode === 'graph') {
+            const padding = 40;
+            const bbox = this.visualization.container.node().getBBox();
+            width = bbox.width + padding * 2;
+            height = bbox.height + padding * 2;
+            content.setAttribute('transform', `translate(${padding - bbox.x},${padding - bbox.y})`);
+        } else {
+            const rect = svg.getBoundingClientRect();
+            width = rect.width;
+            height = rect.height;
+        }
+
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        clone.removeAttribute('id');
+        clone.removeAttribute('style');
+
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('fill', getComputedStyle(document.documentElement).getPropertyValue('--diagram-bg-end').trim());
+        clone.insertBefore(background, clone.firstChild);
+
+        const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+        return { markup, width, height };
+    }
+
+    // Walks the original and cloned trees in step; the clone is not in the document
+    // so its own computed styles would be empty
+    inlineStyles(source, target) {
+        const computed = getComputedStyle(source);
+        const style = DiagramExporter.inlinedProperties
+            .map(property => `${property}:${computed.getPropertyValue(property)}`)
+            .join(';');
+        target.setAttribute('style', style);
+
+        // Attribute values such as fill="var(--node-class)" do not resolve outside the page
+        ['fill', 'stroke'].forEach(attribute => {
+            if (target.getAttribute(attribute)?.includes('var(')) {
+                target.setAttribute(attribute, computed.getPropertyValue(attribute));
+            }
+        });
+
+        for (let i = 0; i < source.children.length; i++) {
+            this.inlineStyles(source.children[i], target.children[i]);
+        }
+    }
+
+    loadImage(markup) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render the diagram as an image'));
+            };
+            image.src = url;
+        });
+    }
+
+    baseFileName() {
+        return (this.visualization.sourceName || 'diagram').replace(/\.json$/, '');
+    }
+}
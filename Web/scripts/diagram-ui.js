@@ -1,11 +1,115 @@
 class SwiftDiagramVisualization {
-    constructor(data) {
+    constructor(data, options = {}) {
         this.data = data;
+        this.sourceName = options.sourceName || null;
+        // Served files that can be fetched again from a deep link; uploads cannot
+        this.files = options.files || null;
         this.svg = d3.select('#diagram');
         this.container = this.svg.append('g');
         this.selectedNode = null;
-        this.simulation = null;
+        this.forceLayout = new ForceLayout({
+            onPositions: () => this.handleLayoutPositions(),
+            onProgress: progress => this.showLayoutProgress(progress),
+            onEnd: () => d3.select('.diagram-container').classed('layout-pending', false)
+        });
+        this.tickRequestId = null;
         this.currentTheme = 'light';
+        this.nodesById = new Map(data.nodes.map(node => [this.getNodeId(node), node]));
+        
+        // Module grouping state
+        this.groupByModule = false;
+        this.collapsedModules = new Set();
+        this.moduleSummaryNodes = new Map();
+        
+        // Layout state
+        this.layoutMode = 'force';
+        this.layoutTimer = null;
+        this.currentNodes = [];
+        this.currentLinks = [];
+        this.displayOptions = {};
+        
+        // Nodes whose member compartments show every member, and cached compartment lines
+        this.expandedNodes = new Set();
+        this.compartmentCache = new Map();
+        
+        // Node sizes for the current render, read by every link on every tick
+        this.nodeSizes = new Map();
+        this.updatePositions = () => {};
+        
+        // Semantic zoom: how much each node shows at the current scale, see detailLevels
+        this.detailLevel = 'detail';
+        this.edgeLabelsVisible = true;
+        this.moduleBlobs = null;
+        
+        // Manually pinned positions, saved per analysis file
+        this.layoutStore = new LayoutStore(this.sourceName);
+        this.pinnedPositions = this.layoutStore.load();
+        
+        this.exporter = new DiagramExporter(this);
+        
+        // Named views saved for this analysis, and the types the applied view is limited to
+        this.viewStore = new ViewStore(this.sourceName);
+        this.savedViews = this.viewStore.load();
+        this.visibleTypes = null;
+        this.activeViewName = null;
+        // True while the pins come from an applied view rather than the stored layout
+        this.viewLayoutActive = false;
+        
+        // Relationship kinds switched off in the sidebar filter
+        this.hiddenRelationshipKinds = new Set();
+        
+        // Result of the path finder, kept across renders
+        this.pathHighlight = null;
+        
+        // Reverse-dependency walk from the selected type, kept across renders
+        this.impactHighlight = null;
+        this.impactDepth = 3;
+        
+        // Strongly connected components found by the cycle panel
+        this.cycleAnalysis = null;
+        this.showOnlyCycles = false;
+        this.cycleOutlines = null;
+        
+        // Metrics for every type and module, and the ones encoded as node size and colour
+        this.metrics = new TypeMetrics(data.nodes, this.getGraphEdges(), n => this.getNodeId(n), n => this.getModuleName(n));
+        this.sizeMetric = '';
+        this.colorMetric = '';
+        this.metricsTable = { view: 'types', sortKey: 'fanIn', descending: true };
+        
+        // Tab shown in the diagram area, and the types the last render kept after filtering
+        this.activeView = 'diagram';
+        this.filteredNodes = [];
+        this.conformanceMatrix = null;
+        this.dependencyMatrix = null;
+        this.dsmLayout = null;
+        
+        // Arrangement of the sidebar type list, and outline items the user collapsed by mode and path
+        this.typeListMode = 'list';
+        this.collapsedOutlineItems = new Set();
+        
+        // Nesting and subtype trees; folded parents hide their nested types or whole subtree
+        this.typeTree = new TypeTree(data.nodes, this.getGraphEdges(), n => this.getNodeId(n));
+        this.foldedNested = new Set();
+        this.foldedSubtrees = new Set();
+        this.foldBadges = new Map();
+        
+        // Structured search query applied as a persistent filter
+        this.queryFilter = null;
+        
+        // Ranked results of the diagram search and the one picked with the arrow keys
+        this.searchResultsData = [];
+        this.activeSearchIndex = -1;
+        
+        // URL hash state being restored; the URL is not rewritten until it has been applied
+        this.restoringUrlState = null;
+        
+        // Types matching the search, and the one briefly marked after jumping to it
+        this.searchHighlightIds = null;
+        this.focusedNodeId = null;
+        
+        // 'auto' draws on the canvas above CanvasRenderer.autoThreshold types, else 'svg' or 'canvas'
+        this.rendererMode = 'auto';
+        this.canvasRenderer = new CanvasRenderer(this);
         
         // Performance optimization properties
         this.renderDebounceTimer = null;
@@ -20,13 +124,90 @@ class SwiftDiagramVisualization {
             lastFrameTimes: []
         };
         
+        // Presses on a canvas-drawn node start a node drag instead of panning
         this.zoom = d3.zoom()
             .scaleExtent([0.1, 3])
-            .on('zoom', this.handleZoom.bind(this));
+            .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+                !(event.type !== 'wheel' && this.canvasRenderer.hitTest(event)?.node))
+            .on('zoom', this.handleZoom.bind(this))
+            .on('end', () => this.syncUrl());
         
         this.svg.call(this.zoom);
         this.setupEventListeners();
         this.setupDefinitions();
+        this.setupDiffLegend();
+        this.setupRelationshipFilter();
+        this.setupPathFinder();
+        this.setupCycleDetection();
+        this.setupMetrics();
+        this.setupViewTabs();
+        this.setupTypeList();
+        this.setupSavedViews();
+        if (options.urlState) {
+            this.applyUrlState(options.urlState);
+        }
+        this.debouncedRender();
+    }
+    
+    // Swaps in a reloaded or merged analysis without rebuilding the diagram: types keep their
+    // position by id and the next render enters, updates and exits only the differences
+    updateData(data, options = {}) {
+        data.nodes.forEach(node => {
+            const previous = this.nodesById.get(this.getNodeId(node));
+            if (previous && previous !== node && previous.x !== undefined) {
+                node.x = previous.x;
+                node.y = previous.y;
+                node.vx = 0;
+                node.vy = 0;
+            }
+        });
+        
+        const sourceChanged = (options.sourceName || null) !== this.sourceName;
+        this.data = data;
+        this.sourceName = options.sourceName || null;
+        this.files = options.files || null;
+        this.nodesById = new Map(data.nodes.map(node => [this.getNodeId(node), node]));
+        this.graphEdges = null;
+        this.metrics = new TypeMetrics(data.nodes, this.getGraphEdges(), n => this.getNodeId(n), n => this.getModuleName(n));
+        this.typeTree = new TypeTree(data.nodes, this.getGraphEdges(), n => this.getNodeId(n));
+        this.pathHighlight = null;
+        this.impactHighlight = null;
+        if (this.selectedNode) {
+            this.selectedNode = this.nodesById.get(this.getNodeId(this.selectedNode)) || null;
+        }
+        
+        if (sourceChanged) {
+            this.layoutStore = new LayoutStore(this.sourceName);
+            this.pinnedPositions = this.layoutStore.load();
+            this.viewStore = new ViewStore(this.sourceName);
+            this.savedViews = this.viewStore.load();
+            this.visibleTypes = null;
+            this.activeViewName = null;
+            this.viewLayoutActive = false;
+            this.setupSavedViews();
+        }
+        
+        // Surviving types redraw their header and members from the new data
+        this.container.selectAll('.node-group').attr('data-content', null);
+        
+        this.setupDiffLegend();
+        this.setupRelationshipFilter();
+        this.setupCycleDetection();
+        if (this.cycleAnalysis) {
+            this.detectCycles();
+        }
+        if (d3.select('#metrics-panel').classed('active')) {
+            this.renderMetricsTable();
+        }
+        if (this.selectedNode) {
+            this.showTypeDetails(this.selectedNode);
+        } else {
+            d3.select('#type-details').html('');
+        }
+        
+        if (options.urlState) {
+            this.applyUrlState(options.urlState);
+        }
         this.debouncedRender();
     }
     
@@ -40,15 +221,56 @@ class SwiftDiagramVisualization {
         // New diagram search input
         d3.select('#diagram-search-input').on('input', (e) => this.handleDiagramSearch(e.target.value));
         d3.select('#diagram-search-input').on('focus', () => this.showSearchResults());
-        d3.select('#diagram-search-input').on('blur', () => {
-            // Delay hiding to allow clicking on results
-            setTimeout(() => this.hideSearchResults(), 150);
-        });
+        d3.select('#diagram-search-input').on('keydown', (e) => this.handleSearchKeydown(e));
+        d3.select('#diagram-search-input').on('blur', () => this.hideSearchResults());
+        // Keep focus in the input while clicking results so blur does not close them first
+        d3.select('#search-results').on('mousedown', (e) => e.preventDefault());
+        
+        d3.select('#query-filter-clear').on('click', () => this.setQueryFilter(null));
         
         d3.select('#show-properties').on('change', () => this.debouncedRender());
         d3.select('#show-methods').on('change', () => this.debouncedRender());
         d3.select('#show-initializers').on('change', () => this.debouncedRender());
         d3.select('#show-private').on('change', () => this.debouncedRender());
+        d3.select('#group-by-module').on('change', () => this.debouncedRender());
+        d3.select('#layout-mode').on('change', (e) => this.setLayoutMode(e.target.value));
+        d3.select('#renderer-mode').on('change', (e) => {
+            this.rendererMode = e.target.value;
+            this.debouncedRender();
+        });
+        d3.select('#download-layout').on('click', () => this.downloadLayout());
+        d3.select('#import-layout-button').on('click', () => d3.select('#import-layout-input').node().click());
+        d3.select('#import-layout-input').on('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importLayout(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        d3.select('#clear-layout').on('click', () => this.clearPinnedPositions());
+        d3.select('#stop-layout').on('click', () => this.forceLayout.stop());
+        d3.select('#precompute-layout').on('change', () => this.debouncedRender());
+        
+        d3.select('#export-svg').on('click', () => {
+            try {
+                this.exporter.exportSVG(d3.select('#export-mode').property('value'));
+            } catch (error) {
+                window.dataLoader?.showError(`Error exporting SVG: ${error.message}`);
+            }
+        });
+        d3.select('#export-png').on('click', () => {
+            const mode = d3.select('#export-mode').property('value');
+            const scale = Number(d3.select('#export-scale').property('value'));
+            this.exporter.exportPNG(mode, scale)
+                .catch(error => window.dataLoader?.showError(`Error exporting PNG: ${error.message}`));
+        });
+        d3.select('#export-mermaid').on('click', () => this.showTextExport('mermaid'));
+        d3.select('#export-plantuml').on('click', () => this.showTextExport('plantuml'));
+        d3.select('#text-export-close').on('click', () => d3.select('#text-export-panel').classed('active', false));
+        d3.select('#text-export-copy').on('click', () => {
+            navigator.clipboard.writeText(d3.select('#text-export-output').property('value'))
+                .then(() => d3.select('#text-export-copy').text('✓ Copied'))
+                .catch(error => window.dataLoader?.showError(`Could not copy: ${error.message}`));
+        });
         
         // Close search results when clicking outside
         d3.select('body').on('click', (event) => {
@@ -83,17 +305,12 @@ class SwiftDiagramVisualization {
     setupDefinitions() {
         const defs = this.container.append('defs');
         
-        // Arrow markers for different relationship types
-        const arrowTypes = [
-            { id: 'inheritance', color: '#3498db' },
-            { id: 'conformance', color: '#9b59b6' },
-            { id: 'composition', color: '#e74c3c' },
-            { id: 'dependency', color: '#95a5a6' }
-        ];
+        // Arrow markers for every relationship kind
+        const arrowTypes = [...RelationshipKinds.all, RelationshipKinds.moduleStyle, RelationshipKinds.nestingStyle];
         
         arrowTypes.forEach(type => {
             defs.append('marker')
-                .attr('id', `arrowhead-${type.id}`)
+                .attr('id', `arrowhead-${type.kind}`)
                 .attr('viewBox', '0 -5 10 10')
                 .attr('refX', 15)
                 .attr('refY', 0)
@@ -106,8 +323,927 @@ class SwiftDiagramVisualization {
         });
     }
     
+    // Compare mode: add legend entries for the diff colours when the data is a diff
+    setupDiffLegend() {
+        const legend = d3.select('.legend');
+        legend.selectAll('.diff-legend-item').remove();
+        
+        if (!this.data.diff) return;
+        
+        const summary = this.data.diff.types;
+        ['added', 'removed', 'changed'].forEach(status => {
+            const item = legend.append('div').attr('class', 'legend-item diff-legend-item');
+            item.append('div').attr('class', `legend-color diff-${status}-color`);
+            item.append('span').text(`${status.charAt(0).toUpperCase() + status.slice(1)} (${summary[status]})`);
+        });
+    }
+    
+    // One row per relationship kind present in the loaded file, plus matching legend entries
+    setupRelationshipFilter() {
+        const presentKinds = new Set(this.data.nodes.flatMap(node => node.relationships.map(rel => rel.kind)));
+        const kinds = RelationshipKinds.all.filter(style => presentKinds.has(style.kind));
+        
+        const rows = d3.select('#relationship-filter-list')
+            .selectAll('.relationship-filter-item')
+            .data(kinds, d => d.kind)
+            .join(enter => {
+                const row = enter.append('label').attr('class', 'relationship-filter-item');
+                row.append('input').attr('type', 'checkbox');
+                this.appendRelationshipSwatch(row);
+                row.append('span').attr('class', 'relationship-filter-name');
+                row.append('span').attr('class', 'relationship-filter-count');
+                return row;
+            });
+        
+        rows.select('input')
+            .property('checked', d => !this.hiddenRelationshipKinds.has(d.kind))
+            .on('change', (event, d) => this.setRelationshipKindVisible(d.kind, event.target.checked));
+        rows.select('.relationship-filter-name').text(d => d.label);
+        
+        const legend = d3.select('.legend');
+        legend.selectAll('.relationship-legend-item').remove();
+        kinds.forEach(style => {
+            const item = legend.append('div').attr('class', 'legend-item relationship-legend-item').datum(style);
+            this.appendRelationshipSwatch(item);
+            item.append('span').text(style.label);
+        });
+    }
+    
+    appendRelationshipSwatch(selection) {
+        selection.append('svg')
+            .attr('class', 'relationship-swatch')
+            .attr('width', 28)
+            .attr('height', 10)
+            .append('line')
+            .attr('x1', 1)
+            .attr('y1', 5)
+            .attr('x2', 27)
+            .attr('y2', 5)
+            .attr('stroke', d => d.color)
+            .attr('stroke-width', 2.5)
+            .attr('stroke-dasharray', d => d.dash);
+    }
+    
+    // Counts are taken before the kind filter so hidden kinds still show how many edges they hold
+    updateRelationshipCounts(links) {
+        const counts = d3.rollup(links, group => group.length, link => link.kind);
+        d3.select('#relationship-filter-list')
+            .selectAll('.relationship-filter-item')
+            .classed('empty', d => !counts.has(d.kind))
+            .select('.relationship-filter-count')
+            .text(d => counts.get(d.kind) || 0);
+    }
+    
+    setRelationshipKindVisible(kind, visible) {
+        if (visible) {
+            this.hiddenRelationshipKinds.delete(kind);
+        } else {
+            this.hiddenRelationshipKinds.add(kind);
+        }
+        this.applyRelationshipFilter();
+        this.syncUrl({ push: true });
+    }
+    
+    getVisibleLinks() {
+        return this.currentLinks.filter(link => !this.hiddenRelationshipKinds.has(link.kind));
+    }
+    
+    // Hides filtered edges and updates the link force in place instead of rebuilding the diagram
+    applyRelationshipFilter() {
+        this.container.selectAll('.link, .link-count')
+            .classed('kind-hidden', d => this.hiddenRelationshipKinds.has(d.kind));
+        if (this.activeView === 'dsm') {
+            this.renderDependencyMatrix();
+        }
+        
+        if (this.currentNodes.length === 0) return;
+        this.forceLayout.setLinks(this.getVisibleLinks());
+        if (this.layoutMode === 'force') {
+            this.forceLayout.restart({ alpha: 0.3 });
+        }
+    }
+    
+    // Every relationship of the loaded data as { source, target, kind, details } between node ids
+    getGraphEdges() {
+        if (!this.graphEdges) {
+            this.graphEdges = this.data.nodes.flatMap(node => node.relationships
+                .filter(rel => this.nodesById.has(this.getRelationshipTargetId(rel)))
+                .map(rel => ({
+                    source: this.getNodeId(node),
+                    target: this.getRelationshipTargetId(rel),
+                    kind: rel.kind,
+                    details: rel.details
+                })));
+        }
+        return this.graphEdges;
+    }
+    
+    setupPathFinder() {
+        d3.select('#type-names')
+            .selectAll('option')
+            .data([...this.nodesById.keys()].sort())
+            .join('option')
+            .attr('value', d => d);
+        
+        const presentKinds = new Set(this.getGraphEdges().map(edge => edge.kind));
+        d3.select('#path-kinds')
+            .selectAll('option')
+            .data(RelationshipKinds.all.filter(style => presentKinds.has(style.kind)))
+            .join('option')
+            .attr('value', d => d.kind)
+            .text(d => d.label);
+        
+        d3.select('#find-path').on('click', () => this.findPaths());
+        d3.select('#clear-path').on('click', () => this.clearPathHighlight());
+    }
+    
+    findPaths() {
+        const from = d3.select('#path-source').property('value').trim();
+        const to = d3.select('#path-target').property('value').trim();
+        
+        if (!this.nodesById.has(from) || !this.nodesById.has(to)) {
+            window.dataLoader?.showError('Pick a source and a target type from the list.');
+            return;
+        }
+        
+        const allowedKinds = new Set(Array.from(d3.select('#path-kinds').node().selectedOptions, option => option.value));
+        const undirected = d3.select('#path-undirected').property('checked');
+        const limit = Math.max(1, Number(d3.select('#path-count').property('value')) || 1);
+        
+        const adjacency = GraphAlgorithms.buildAdjacency(this.getGraphEdges(), { allowedKinds, undirected });
+        const paths = GraphAlgorithms.findPaths(adjacency, from, to, limit);
+        
+        this.pathHighlight = {
+            nodes: new Set(paths.flatMap(path => path.flatMap(step => [step.from, step.to]))),
+            edges: new Set(paths.flatMap(path => path.map(step => this.edgeKey(step.edge.source, step.edge.kind, step.edge.target))))
+        };
+        this.applyPathHighlight();
+        this.showPathDetails(from, to, paths);
+    }
+    
+    edgeKey(sourceId, kind, targetId) {
+        return `${sourceId}|${kind}|${targetId}`;
+    }
+    
+    applyPathHighlight() {
+        const highlight = this.pathHighlight;
+        this.container.select('.diagram-content').classed('path-active', !!highlight);
+        this.container.selectAll('.node')
+            .classed('path-node', d => !!highlight && highlight.nodes.has(this.getNodeId(d)));
+        this.container.selectAll('.link')
+            .classed('path-link', d => !!highlight &&
+                highlight.edges.has(this.edgeKey(this.getNodeId(d.source), d.kind, this.getNodeId(d.target))));
+        this.canvasRenderer.requestDraw();
+    }
+    
+    clearPathHighlight() {
+        this.pathHighlight = null;
+        this.applyPathHighlight();
+        d3.select('#type-details').html('');
+    }
+    
+    showPathDetails(from, to, paths) {
+        const details = d3.select('#type-details');
+        details.html('');
+        
+        const container = details.append('div').attr('class', 'type-details');
+        container.append('h4').text(`${from} → ${to}`);
+        
+        if (paths.length === 0) {
+            container.append('p').text('No path found with the selected relationship kinds.');
+            return;
+        }
+        
+        paths.forEach((path, index) => {
+            container.append('h5').text(`Path ${index + 1} (${path.length} ${path.length === 1 ? 'hop' : 'hops'})`);
+            const list = container.append('ol').attr('class', 'path-steps');
+            path.forEach(step => {
+                const item = list.append('li')
+                    .on('click', () => this.selectNode(this.nodesById.get(step.to)));
+                const arrow = step.reversed ? `←${step.edge.kind}—` : `—${step.edge.kind}→`;
+                item.append('div').text(`${step.from} ${arrow} ${step.to}`);
+                if (step.edge.details) {
+                    item.append('div').attr('class', 'path-step-details').text(step.edge.details);
+                }
+            });
+        });
+    }
+    
+    // Every type that would be affected by changing `node`, i.e. that reaches it through
+    // visible relationship kinds within `maxDepth` hops
+    showImpact(node, maxDepth) {
+        const rootId = this.getNodeId(node);
+        const presentKinds = new Set(this.getGraphEdges().map(edge => edge.kind));
+        const allowedKinds = this.hiddenRelationshipKinds.size > 0
+            ? new Set([...presentKinds].filter(kind => !this.hiddenRelationshipKinds.has(kind)))
+            : null;
+        
+        const affected = GraphAlgorithms.impactOf(this.getGraphEdges(), rootId, { maxDepth, allowedKinds });
+        this.impactDepth = maxDepth;
+        this.impactHighlight = {
+            root: rootId,
+            maxDepth,
+            distances: new Map([...affected].map(([id, { distance }]) => [id, distance]))
+        };
+        this.applyImpactHighlight();
+        
+        const rows = [...affected]
+            .map(([id, { distance, edge }]) => {
+                const type = this.nodesById.get(id).type;
+                return {
+                    id,
+                    name: type.name,
+                    kind: type.kind,
+                    module: this.getModuleName(this.nodesById.get(id)),
+                    distance,
+                    via: `${edge.kind} ${edge.target}`
+                };
+            })
+            .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name));
+        this.showImpactDetails(node, maxDepth, rows);
+    }
+    
+    // Nearer dependents are shaded darker
+    getImpactColor(distance, maxDepth) {
+        const t = maxDepth > 1 ? (distance - 1) / (maxDepth - 1) : 0;
+        return d3.interpolateOrRd(0.85 - t * 0.6);
+    }
+    
+    applyImpactHighlight() {
+        const highlight = this.impactHighlight;
+        this.container.select('.diagram-content').classed('impact-active', !!highlight);
+        this.container.selectAll('.node')
+            .classed('impact-root', d => !!highlight && this.getNodeId(d) === highlight.root)
+            .classed('impact-node', d => !!highlight && highlight.distances.has(this.getNodeId(d)))
+            .style('fill', d => {
+                const distance = highlight?.distances.get(this.getNodeId(d));
+                return distance ? this.getImpactColor(distance, highlight.maxDepth) : null;
+            });
+        this.canvasRenderer.requestDraw();
+    }
+    
+    clearImpactHighlight() {
+        this.impactHighlight = null;
+        this.applyImpactHighlight();
+        d3.select('#type-details').html('');
+    }
+    
+    showImpactDetails(node, maxDepth, rows) {
+        const details = d3.select('#type-details');
+        details.html('');
+        
+        const container = details.append('div').attr('class', 'type-details');
+        container.append('h4').text(`Impact of changing ${node.type.name}`);
+        container.append('p').text(`${rows.length} affected ${rows.length === 1 ? 'type' : 'types'} within ${maxDepth} ${maxDepth === 1 ? 'hop' : 'hops'}`);
+        
+        const baseName = `${this.exporter.baseFileName()}-impact-${UMLTextExporter.identifier(node.type.name)}`;
+        const actions = container.append('div').attr('class', 'impact-actions');
+        actions.append('button')
+            .attr('class', 'details-action')
+            .text('Export CSV')
+            .on('click', () => this.downloadFile(`${baseName}.csv`, ImpactReport.toCSV(rows), 'text/csv'));
+        actions.append('button')
+            .attr('class', 'details-action')
+            .text('Export Markdown')
+            .on('click', () => this.downloadFile(`${baseName}.md`, ImpactReport.toMarkdown(node.type.name, maxDepth, rows), 'text/markdown'));
+        actions.append('button')
+            .attr('class', 'details-action')
+            .text('Clear')
+            .on('click', () => this.clearImpactHighlight());
+        
+        ImpactReport.groupByModule(rows).forEach(([moduleName, moduleRows]) => {
+            container.append('h5').text(`${moduleName} (${moduleRows.length})`);
+            const list = container.append('ul').attr('class', 'impact-list');
+            moduleRows.forEach(row => {
+                const item = list.append('li')
+                    .on('click', () => this.focusOnNode(this.nodesById.get(row.id)));
+                item.append('span')
+                    .attr('class', 'impact-distance')
+                    .style('background', this.getImpactColor(row.distance, maxDepth))
+                    .text(row.distance);
+                item.append('span').text(` ${row.name}`);
+                item.append('div').attr('class', 'path-step-details').text(`via ${row.via}`);
+            });
+        });
+    }
+    
+    setupCycleDetection() {
+        const presentKinds = new Set(this.getGraphEdges().map(edge => edge.kind));
+        d3.select('#cycle-kinds')
+            .selectAll('option')
+            .data(RelationshipKinds.all.filter(style => presentKinds.has(style.kind)))
+            .join('option')
+            .attr('value', d => d.kind)
+            .text(d => d.label);
+        
+        d3.select('#detect-cycles').on('click', () => this.detectCycles());
+        d3.select('#clear-cycles').on('click', () => this.clearCycles());
+        d3.select('#only-cycles').on('change', event => {
+            this.showOnlyCycles = event.target.checked;
+            this.debouncedRender();
+        });
+    }
+    
+    detectCycles() {
+        const allowedKinds = new Set(Array.from(d3.select('#cycle-kinds').node().selectedOptions, option => option.value));
+        const cycles = GraphAlgorithms.findCycles(this.getGraphEdges(), { allowedKinds });
+        
+        const memberOf = new Map();
+        cycles.forEach((cycle, index) => cycle.members.forEach(id => memberOf.set(id, index)));
+        const edgeKeys = edges => new Set(edges.map(edge => this.edgeKey(edge.source, edge.kind, edge.target)));
+        
+        this.cycleAnalysis = {
+            cycles,
+            memberOf,
+            edges: edgeKeys(cycles.flatMap(cycle => cycle.edges)),
+            closingEdges: edgeKeys(cycles.flatMap(cycle => cycle.closingEdges))
+        };
+        this.renderCycleList();
+        
+        if (this.showOnlyCycles) {
+            this.debouncedRender();
+        } else {
+            this.applyCycleHighlight();
+        }
+    }
+    
+    clearCycles() {
+        this.cycleAnalysis = null;
+        d3.select('#cycle-list').html('');
+        if (this.showOnlyCycles) {
+            this.debouncedRender();
+        } else {
+            this.applyCycleHighlight();
+        }
+    }
+    
+    getCycleColor(index) {
+        return d3.schemeTableau10[index % d3.schemeTableau10.length];
+    }
+    
+    renderCycleList() {
+        const list = d3.select('#cycle-list');
+        list.html('');
+        
+        const { cycles } = this.cycleAnalysis;
+        if (cycles.length === 0) {
+            list.append('p').attr('class', 'cycle-empty').text('No cycles found.');
+            return;
+        }
+        
+        const items = list.selectAll('.cycle-item')
+            .data(cycles)
+            .join('div')
+            .attr('class', 'cycle-item')
+            .on('click', (event, cycle) => this.showCycleDetails(cycle, cycles.indexOf(cycle)));
+        
+        items.append('span')
+            .attr('class', 'cycle-swatch')
+            .style('background', (d, i) => this.getCycleColor(i));
+        items.append('span')
+            .attr('class', 'cycle-item-name')
+            .text((d, i) => `Cycle ${i + 1} · ${d.members.length} ${d.members.length === 1 ? 'type' : 'types'}`);
+        items.append('div')
+            .attr('class', 'cycle-item-members')
+            .text(d => d.members.join(', '));
+    }
+    
+    // Outlines the members of every cycle that is on screen and marks the edges inside it
+    applyCycleHighlight() {
+        const analysis = this.cycleAnalysis;
+        const edgeKey = d => this.edgeKey(this.getNodeId(d.source), d.kind, this.getNodeId(d.target));
+        
+        this.container.selectAll('.node')
+            .classed('cycle-node', d => !!analysis && analysis.memberOf.has(this.getNodeId(d)));
+        this.container.selectAll('.link')
+            .classed('cycle-link', d => !!analysis && analysis.edges.has(edgeKey(d)))
+            .classed('cycle-closing', d => !!analysis && analysis.closingEdges.has(edgeKey(d)));
+        this.canvasRenderer.requestDraw();
+        
+        if (!this.cycleOutlines) return;
+        
+        const nodesById = new Map(this.currentNodes.map(node => [this.getNodeId(node), node]));
+        const outlines = analysis
+            ? analysis.cycles
+                .map((cycle, index) => ({ index, nodes: cycle.members.map(id => nodesById.get(id)).filter(Boolean) }))
+                .filter(outline => outline.nodes.length > 0)
+            : [];
+        
+        this.cycleOutlines.selectAll('.cycle-outline')
+            .data(outlines, d => d.index)
+            .join('path')
+            .attr('class', 'cycle-outline')
+            .attr('stroke', d => this.getCycleColor(d.index))
+            .attr('fill', d => this.getCycleColor(d.index));
+        this.updateCycleOutlines();
+    }
+    
+    updateCycleOutlines() {
+        if (!this.cycleOutlines) return;
+        
+        this.cycleOutlines.selectAll('.cycle-outline').attr('d', d => {
+            const hull = this.getCycleHull(d.nodes);
+            return hull ? `M${hull.join('L')}Z` : null;
+        });
+    }
+    
+    // Convex hull around the boxes of the given nodes
+    getCycleHull(nodes) {
+        const padding = 14;
+        const corners = nodes.flatMap(node => {
+            const { width, height } = this.getNodeSize(node);
+            const x0 = node.x - padding;
+            const y0 = node.y - padding;
+            const x1 = node.x + width + padding;
+            const y1 = node.y + height + padding;
+            return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+        });
+        return d3.polygonHull(corners);
+    }
+    
+    showCycleDetails(cycle, index) {
+        const details = d3.select('#type-details');
+        details.html('');
+        
+        const container = details.append('div').attr('class', 'type-details');
+        container.append('h4')
+            .style('color', this.getCycleColor(index))
+            .text(`Cycle ${index + 1}`);
+        container.append('p').text(`${cycle.members.length} types, ${cycle.edges.length} edges`);
+        
+        container.append('h5').text('Members:');
+        const members = container.append('ul').attr('class', 'path-steps');
+        cycle.members.forEach(id => {
+            members.append('li')
+                .text(id)
+                .on('click', () => this.focusOnNode(this.nodesById.get(id)));
+        });
+        
+        container.append('h5').text('Closing edges:');
+        const closing = container.append('ul');
+        cycle.closingEdges.forEach(edge => {
+            const item = closing.append('li');
+            item.append('div').text(`${edge.source} —${edge.kind}→ ${edge.target}`);
+            if (edge.details) {
+                item.append('div').attr('class', 'path-step-details').text(edge.details);
+            }
+        });
+    }
+    
+    setupMetrics() {
+        const numericColumns = TypeMetrics.typeColumns.filter(column => column.numeric);
+        ['#size-metric', '#color-metric'].forEach(selector => {
+            d3.select(selector)
+                .selectAll('option.metric-option')
+                .data(numericColumns)
+                .join('option')
+                .attr('class', 'metric-option')
+                .attr('value', d => d.key)
+                .text(d => d.label);
+        });
+        
+        d3.select('#size-metric').on('change', event => {
+            this.sizeMetric = event.target.value;
+            this.debouncedRender();
+        });
+        d3.select('#color-metric').on('change', event => {
+            this.colorMetric = event.target.value;
+            this.container.selectAll('.node').attr('fill', d => this.getNodeFill(d));
+            this.canvasRenderer.requestDraw();
+            this.updateMetricLegend();
+        });
+        d3.select('#show-metrics').on('click', () => {
+            d3.select('#metrics-panel').classed('active', true);
+            this.renderMetricsTable();
+        });
+        d3.select('#metrics-close').on('click', () => d3.select('#metrics-panel').classed('active', false));
+        d3.select('#metrics-types').on('click', () => this.setMetricsView('types'));
+        d3.select('#metrics-modules').on('click', () => this.setMetricsView('modules'));
+    }
+    
+    // Nodes grow up to 1.8x with the square root of the chosen metric
+    getMetricScale(node) {
+        const metrics = this.sizeMetric && !node.isModuleSummary ? this.metrics.forType(node) : null;
+        if (!metrics) return 1;
+        const max = this.metrics.max(this.sizeMetric);
+        return max > 0 ? 1 + 0.8 * Math.sqrt(metrics[this.sizeMetric] / max) : 1;
+    }
+    
+    getNodeFill(node) {
+        const metrics = this.colorMetric && !node.isModuleSummary ? this.metrics.forType(node) : null;
+        if (!metrics) return this.getNodeColor(node.type.kind);
+        const max = this.metrics.max(this.colorMetric);
+        return d3.interpolateYlOrRd(max > 0 ? 0.15 + 0.85 * metrics[this.colorMetric] / max : 0.15);
+    }
+    
+    updateMetricLegend() {
+        const legend = d3.select('.legend');
+        legend.selectAll('.metric-legend-item').remove();
+        if (!this.colorMetric) return;
+        
+        const label = TypeMetrics.typeColumns.find(column => column.key === this.colorMetric).label;
+        const item = legend.append('div').attr('class', 'legend-item metric-legend-item');
+        item.append('div')
+            .attr('class', 'legend-color metric-gradient')
+            .style('background', `linear-gradient(to right, ${d3.interpolateYlOrRd(0.15)}, ${d3.interpolateYlOrRd(1)})`);
+        item.append('span').text(`${label} 0–${TypeMetrics.format(this.metrics.max(this.colorMetric))}`);
+    }
+    
+    setMetricsView(view) {
+        this.metricsTable = { view, sortKey: view === 'types' ? 'fanIn' : 'distance', descending: true };
+        d3.select('#metrics-types').classed('active', view === 'types');
+        d3.select('#metrics-modules').classed('active', view === 'modules');
+        this.renderMetricsTable();
+    }
+    
+    // Sortable by clicking a column header; clicking the same header again flips the order
+    renderMetricsTable() {
+        const { view, sortKey, descending } = this.metricsTable;
+        const columns = view === 'types' ? TypeMetrics.typeColumns : TypeMetrics.moduleColumns;
+        const rows = [...(view === 'types' ? this.metrics.types : this.metrics.modules).values()];
+        const compare = columns.find(column => column.key === sortKey)?.numeric
+            ? (a, b) => a[sortKey] - b[sortKey]
+            : (a, b) => String(a[sortKey]).localeCompare(String(b[sortKey]));
+        rows.sort((a, b) => (descending ? -compare(a, b) : compare(a, b)) || a.name.localeCompare(b.name));
+        
+        const table = d3.select('#metrics-table');
+        table.html('');
+        
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(columns)
+            .join('th')
+            .classed('numeric', d => !!d.numeric)
+            .classed('sorted', d => d.key === sortKey)
+            .text(d => d.key === sortKey ? `${d.label} ${descending ? '▼' : '▲'}` : d.label)
+            .on('click', (event, d) => {
+                this.metricsTable = {
+                    view,
+                    sortKey: d.key,
+                    descending: d.key === sortKey ? !descending : !!d.numeric
+                };
+                this.renderMetricsTable();
+            });
+        
+        table.append('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .join('tr')
+            .on('click', (event, d) => {
+                if (view !== 'types') return;
+                const node = this.nodesById.get(d.id);
+                this.selectNode(node);
+                this.focusOnNode(node);
+            })
+            .selectAll('td')
+            .data(row => columns.map(column => ({ column, value: row[column.key] })))
+            .join('td')
+            .classed('numeric', d => !!d.column.numeric)
+            .text(d => d.column.numeric ? TypeMetrics.format(d.value) : d.value);
+    }
+    
+    addMetricRows(container, rows) {
+        const table = container.append('table').attr('class', 'metrics-summary');
+        rows.forEach(([label, value]) => {
+            const row = table.append('tr');
+            row.append('th').text(label);
+            row.append('td').text(value);
+        });
+    }
+    
+    setupViewTabs() {
+        d3.selectAll('.view-tab').on('click', event => this.setActiveView(event.currentTarget.dataset.view));
+        
+        d3.select('#conformance-legend')
+            .selectAll('.matrix-legend-item')
+            .data(ConformanceMatrix.statuses)
+            .join('span')
+            .attr('class', 'matrix-legend-item')
+            .call(item => item.append('span')
+                .attr('class', d => `conformance-cell ${d.status}`)
+                .text(d => d.symbol))
+            .append('span')
+            .text(d => d.label);
+        d3.selectAll('#conformance-row-order, #conformance-column-order')
+            .on('change', () => this.renderConformanceMatrix());
+        
+        d3.select('#dsm-level').on('change', () => this.renderDependencyMatrix());
+        d3.select('#dsm-canvas')
+            .on('mousemove', event => {
+                const hit = this.dependencyMatrixHit(event);
+                event.currentTarget.title = hit ? this.describeDependencyCell(hit.row, hit.column) : '';
+                event.currentTarget.style.cursor = hit && !this.dependencyMatrix.aggregated ? 'pointer' : 'default';
+            })
+            .on('click', event => {
+                const hit = this.dependencyMatrixHit(event);
+                if (!hit || this.dependencyMatrix.aggregated) return;
+                if (hit.column === null || hit.row === hit.column) {
+                    this.selectNode(this.nodesById.get(hit.row));
+                } else {
+                    this.showDependencyDetails(hit.row, hit.column);
+                }
+            });
+    }
+    
+    // The matrix tabs cover the diagram and follow the same filters as the diagram
+    setActiveView(view) {
+        this.activeView = view;
+        d3.select('.diagram-container').attr('data-view', view === 'diagram' ? null : view);
+        d3.selectAll('.view-tab').classed('active', (d, i, tabs) => tabs[i].dataset.view === view);
+        d3.selectAll('.matrix-view').classed('active', (d, i, panels) => panels[i].dataset.view === view);
+        
+        if (view === 'conformance') {
+            this.renderConformanceMatrix();
+        } else if (view === 'dsm') {
+            this.renderDependencyMatrix();
+        } else if (this.canvasRenderer.active) {
+            // The canvas was sized while hidden
+            this.canvasRenderer.resize();
+            this.canvasRenderer.requestDraw();
+        }
+    }
+    
+    renderConformanceMatrix() {
+        const ids = new Set(this.filteredNodes.map(n => this.getNodeId(n)));
+        const edges = this.getGraphEdges().filter(edge => ids.has(edge.source) && ids.has(edge.target));
+        const matrix = new ConformanceMatrix(this.filteredNodes, edges, n => this.getNodeId(n));
+        this.conformanceMatrix = matrix;
+        
+        const rows = matrix.rowOrder(d3.select('#conformance-row-order').property('value'));
+        const columns = matrix.columnOrder(d3.select('#conformance-column-order').property('value'));
+        d3.select('#conformance-summary').text(`${rows.length} types × ${columns.length} protocols`);
+        
+        const table = d3.select('#conformance-table');
+        table.html('');
+        
+        const header = table.append('thead').append('tr');
+        header.append('th').attr('class', 'matrix-corner');
+        header.selectAll('.matrix-column')
+            .data(columns)
+            .join('th')
+            .attr('class', 'matrix-column')
+            .attr('title', id => `${matrix.name(id)}: ${matrix.conformers.get(id).size} conforming types`)
+            .on('click', (event, id) => this.selectNode(this.nodesById.get(id)))
+            .append('span')
+            .text(id => matrix.name(id));
+        
+        const row = table.append('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .join('tr');
+        row.append('th')
+            .attr('class', 'matrix-row')
+            .text(id => matrix.name(id))
+            .on('click', (event, id) => this.selectNode(this.nodesById.get(id)));
+        row.selectAll('td')
+            .data(rowId => columns.map(protocolId => ({ rowId, protocolId, cell: matrix.cell(rowId, protocolId) })))
+            .join('td')
+            .attr('class', d => `conformance-cell${d.cell ? ` ${d.cell.status}` : ''}`)
+            .attr('title', d => d.cell
+                ? `${matrix.name(d.rowId)} → ${matrix.name(d.protocolId)}: ${matrix.describe(d.cell, d.protocolId)}`
+                : null)
+            .text(d => d.cell ? ConformanceMatrix.symbol(d.cell.status) : '')
+            .on('click', (event, d) => {
+                if (d.cell) this.showConformanceDetails(d.rowId, d.protocolId);
+            });
+    }
+    
+    // Uses the same filters as the diagram, including hidden relationship kinds. A canvas keeps
+    // thousands of rows cheap where a table or the force diagram would not.
+    renderDependencyMatrix() {
+        const ids = new Set(this.filteredNodes.map(n => this.getNodeId(n)));
+        const edges = this.getGraphEdges().filter(edge => ids.has(edge.source) && ids.has(edge.target) &&
+            !this.hiddenRelationshipKinds.has(edge.kind));
+        const level = d3.select('#dsm-level').property('value');
+        const matrix = new DependencyMatrix(this.filteredNodes, edges, n => this.getNodeId(n),
+            level === 'module' ? n => this.getModuleName(n) : null);
+        this.dependencyMatrix = matrix;
+        
+        const cycles = matrix.blocks.length === 1 ? '1 cycle' : `${matrix.blocks.length} cycles`;
+        d3.select('#dsm-summary').text(
+            `${matrix.order.length} ${level === 'module' ? 'modules' : 'types'}, ${matrix.edgeCount} dependencies, ${cycles}`);
+        
+        const kinds = new Set(edges.map(edge => edge.kind));
+        d3.select('#dsm-legend')
+            .selectAll('.matrix-legend-item')
+            .data(RelationshipKinds.all.filter(style => kinds.has(style.kind)), d => d.kind)
+            .join(enter => enter.append('span')
+                .attr('class', 'matrix-legend-item')
+                .call(item => item.append('span')
+                    .attr('class', 'dsm-swatch')
+                    .style('background', d => d.color))
+                .call(item => item.append('span').text(d => d.label)));
+        
+        this.drawDependencyMatrix();
+    }
+    
+    drawDependencyMatrix() {
+        const matrix = this.dependencyMatrix;
+        const canvas = d3.select('#dsm-canvas').node();
+        const context = canvas.getContext('2d');
+        const count = matrix.order.length;
+        const cellSize = Math.max(2, Math.min(18, Math.floor(8000 / Math.max(1, count))));
+        const showLabels = cellSize >= 8;
+        const fontSize = Math.min(12, cellSize - 2);
+        const font = `${fontSize}px ${getComputedStyle(canvas).fontFamily}`;
+        const rowLabel = (item, index) => `${index + 1}  ${matrix.labels.get(item)}`;
+        
+        context.font = font;
+        const labelWidth = showLabels
+            ? Math.min(240, d3.max(matrix.order, (item, index) => context.measureText(rowLabel(item, index)).width) || 0) + 16
+            : 0;
+        const headerHeight = showLabels ? context.measureText(String(count)).width + 12 : 0;
+        const width = labelWidth + count * cellSize + 1;
+        const height = headerHeight + count * cellSize + 1;
+        // Browsers refuse canvases past about 16k pixels a side
+        const ratio = Math.min(window.devicePixelRatio || 1, 16000 / Math.max(width, height));
+        
+        canvas.width = Math.floor(width * ratio);
+        canvas.height = Math.floor(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        this.dsmLayout = { labelWidth, headerHeight, cellSize };
+        
+        const css = name => getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+        const textColor = css('--text-color');
+        const borderColor = css('--border-color');
+        const x = index => labelWidth + index * cellSize;
+        const y = index => headerHeight + index * cellSize;
+        
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        
+        context.fillStyle = borderColor;
+        matrix.order.forEach((item, index) => context.fillRect(x(index), y(index), cellSize, cellSize));
+        
+        const position = new Map(matrix.order.map((item, index) => [item, index]));
+        const opacity = d3.scaleLog().domain([1, Math.max(2, matrix.maxCount)]).range([0.35, 1]);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        matrix.cells.forEach((cells, row) => cells.forEach((cell, column) => {
+            const left = x(position.get(column));
+            const top = y(position.get(row));
+            context.globalAlpha = opacity(cell.count);
+            context.fillStyle = RelationshipKinds.style(DependencyMatrix.dominantKind(cell)).color;
+            context.fillRect(left, top, cellSize, cellSize);
+            if (cellSize >= 14) {
+                context.globalAlpha = 1;
+                context.fillStyle = '#fff';
+                context.fillText(String(cell.count), left + cellSize / 2, top + cellSize / 2 + 0.5);
+            }
+        }));
+        context.globalAlpha = 1;
+        
+        // Layer boundaries; within a layer nothing depends on anything else outside cycles
+        context.strokeStyle = borderColor;
+        context.lineWidth = 1;
+        context.beginPath();
+        matrix.order.forEach((item, index) => {
+            if (index === 0 || matrix.layerOf.get(item) === matrix.layerOf.get(matrix.order[index - 1])) return;
+            context.moveTo(labelWidth, y(index) + 0.5);
+            context.lineTo(width, y(index) + 0.5);
+            context.moveTo(x(index) + 0.5, headerHeight);
+            context.lineTo(x(index) + 0.5, height);
+        });
+        context.stroke();
+        
+        context.strokeStyle = css('--error-color');
+        context.lineWidth = 2;
+        matrix.blocks.forEach(block => {
+            context.strokeRect(x(block.start), y(block.start), block.size * cellSize, block.size * cellSize);
+        });
+        
+        if (!showLabels) return;
+        context.font = font;
+        context.fillStyle = textColor;
+        context.textAlign = 'left';
+        matrix.order.forEach((item, index) => {
+            context.save();
+            context.beginPath();
+            context.rect(0, y(index), labelWidth - 8, cellSize);
+            context.clip();
+            context.fillText(rowLabel(item, index), 8, y(index) + cellSize / 2);
+            context.restore();
+        });
+        matrix.order.forEach((item, index) => {
+            context.save();
+            context.translate(x(index) + cellSize / 2, headerHeight - 6);
+            context.rotate(-Math.PI / 2);
+            context.fillText(String(index + 1), 0, 0);
+            context.restore();
+        });
+    }
+    
+    // The items under the pointer; `column` is null over a row label
+    dependencyMatrixHit(event) {
+        const matrix = this.dependencyMatrix;
+        const layout = this.dsmLayout;
+        if (!matrix || !layout) return null;
+        
+        const row = Math.floor((event.offsetY - layout.headerHeight) / layout.cellSize);
+        const column = Math.floor((event.offsetX - layout.labelWidth) / layout.cellSize);
+        if (row < 0 || row >= matrix.order.length || column >= matrix.order.length) return null;
+        return { row: matrix.order[row], column: column < 0 ? null : matrix.order[column] };
+    }
+    
+    describeDependencyCell(row, column) {
+        const matrix = this.dependencyMatrix;
+        if (column === null) return matrix.labels.get(row);
+        
+        const cell = matrix.cell(row, column);
+        const heading = `${matrix.labels.get(row)} → ${matrix.labels.get(column)}`;
+        if (!cell) return heading;
+        const kinds = [...cell.kinds].map(([kind, count]) => `${RelationshipKinds.style(kind).label} ${count}`);
+        return `${heading}: ${cell.count} (${kinds.join(', ')})`;
+    }
+    
+    // Type details with the relationships behind a matrix cell
+    showDependencyDetails(rowId, columnId) {
+        const matrix = this.dependencyMatrix;
+        const cell = matrix.cell(rowId, columnId);
+        this.selectNode(this.nodesById.get(rowId));
+        
+        const section = d3.select('#type-details .type-details')
+            .insert('div', 'h5')
+            .attr('class', 'dependency-evidence');
+        section.append('h5').text(`Dependencies on ${matrix.labels.get(columnId)}`);
+        if (!cell) {
+            const reverse = matrix.cell(columnId, rowId);
+            section.append('p').text(reverse
+                ? `None; ${matrix.labels.get(columnId)} depends on this type ${reverse.count} times`
+                : 'None');
+            return;
+        }
+        
+        const list = section.append('ul');
+        cell.edges.forEach(edge => list.append('li')
+            .text(`${RelationshipKinds.style(edge.kind).label}${edge.details ? `: ${edge.details}` : ''}`));
+        if (matrix.cell(columnId, rowId)) {
+            section.append('p').text('Both types depend on each other, so they are part of a cycle.');
+        }
+    }
+    
+    // Type details with how the type conforms to the protocol and the evidence for it
+    showConformanceDetails(rowId, protocolId) {
+        const matrix = this.conformanceMatrix;
+        const evidence = matrix.evidence(rowId, protocolId);
+        this.selectNode(this.nodesById.get(rowId));
+        
+        const section = d3.select('#type-details .type-details')
+            .insert('div', 'h5')
+            .attr('class', 'conformance-evidence');
+        section.append('h5').text(`Conformance to ${matrix.name(protocolId)}`);
+        section.append('p').text(matrix.describe(evidence.cell, protocolId));
+        
+        [['Fulfilled by:', evidence.fulfills], ['Protocol requires:', evidence.requirements]].forEach(([title, lines]) => {
+            if (lines.length === 0) return;
+            section.append('h5').text(title);
+            const list = section.append('ul');
+            lines.forEach(line => list.append('li').text(line));
+        });
+    }
+    
     handleZoom(event) {
         this.container.attr('transform', event.transform);
+        this.setDetailLevel(event.transform.k);
+        this.canvasRenderer.requestDraw();
+    }
+    
+    // Zoom scales from which nodes show name and kind instead of a dot, and full member
+    // compartments; link counts and arrowheads are only drawn once they are legible
+    static get detailLevels() {
+        return { summary: 0.35, detail: 0.9, edgeLabels: 0.7 };
+    }
+    
+    static detailLevelFor(scale) {
+        const levels = SwiftDiagramVisualization.detailLevels;
+        if (scale < levels.summary) return 'overview';
+        return scale < levels.detail ? 'summary' : 'detail';
+    }
+    
+    setDetailLevel(scale) {
+        const level = SwiftDiagramVisualization.detailLevelFor(scale);
+        const edgeLabels = scale >= SwiftDiagramVisualization.detailLevels.edgeLabels;
+        const entersOverview = level === 'overview' && this.detailLevel !== 'overview';
+        this.detailLevel = level;
+        this.edgeLabelsVisible = edgeLabels;
+        this.applyDetailLevel();
+        
+        if (level === 'overview' && this.moduleBlobs) {
+            if (entersOverview) this.updateModuleBlobs();
+            // Module names keep the same on-screen size however far out the diagram is zoomed
+            this.moduleBlobs.select('.module-blob-label').style('font-size', `${13 / scale}px`);
+        }
+    }
+    
+    // The SVG elements for every level are in place; CSS shows the ones for the current level
+    applyDetailLevel() {
+        if (!this.diagramGroup) return;
+        
+        ['overview', 'summary', 'detail'].forEach(level => {
+            this.diagramGroup.classed(`lod-${level}`, this.detailLevel === level);
+        });
+        this.diagramGroup.classed('edge-labels', this.edgeLabelsVisible);
     }
     
     resetZoom() {
@@ -119,6 +1255,7 @@ class SwiftDiagramVisualization {
     toggleTheme() {
         this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
         document.documentElement.className = this.currentTheme + '-theme';
+        this.canvasRenderer.requestDraw();
     }
     
     handleSearch(query) {
@@ -127,98 +1264,156 @@ class SwiftDiagramVisualization {
             node.type.kind.toLowerCase().includes(query.toLowerCase())
         );
         
+        const matchedIds = query ? new Set(filtered.map(node => this.getNodeId(node))) : null;
+        
         // Use requestAnimationFrame for smoother UI updates
         requestAnimationFrame(() => {
             this.updateTypeList(filtered);
             
             // Highlight matching nodes in the diagram
+            this.searchHighlightIds = matchedIds;
             this.container.selectAll('.node')
-                .classed('search-highlight', d => 
-                    query && filtered.some(f => f.type.name === d.type.name)
-                );
+                .classed('search-highlight', d => !!matchedIds && matchedIds.has(this.getNodeId(d)));
+            this.canvasRenderer.requestDraw();
         });
     }
     
-    handleDiagramSearch(query) {
+    handleDiagramSearch(query, { showResults = true } = {}) {
+        this.syncUrl();
+        
         if (!query.trim()) {
             requestAnimationFrame(() => {
+                this.searchResultsData = [];
                 this.hideSearchResults();
                 // Remove all highlighting
+                this.searchHighlightIds = null;
                 this.container.selectAll('.node').classed('search-highlight', false);
+                this.canvasRenderer.requestDraw();
             });
             return;
         }
         
-        const filtered = this.data.nodes.filter(node => 
-            node.type.name.toLowerCase().includes(query.toLowerCase()) ||
-            node.type.kind.toLowerCase().includes(query.toLowerCase()) ||
-            (node.type.properties && node.type.properties.some(prop => 
-                prop.name.toLowerCase().includes(query.toLowerCase())
-            )) ||
-            (node.type.methods && node.type.methods.some(method => 
-                method.name.toLowerCase().includes(query.toLowerCase())
-            ))
-        );
+        // Field terms filter, free-text words are ranked with the fuzzy matcher
+        const typeQuery = new TypeQuery(query);
+        const results = typeQuery.search(this.data.nodes);
+        const matchedIds = new Set(results.map(result => this.getNodeId(result.item)));
         
         // Use requestAnimationFrame for smoother UI updates
         requestAnimationFrame(() => {
-            this.displaySearchResults(filtered, query);
+            if (showResults) {
+                this.displaySearchResults(results, typeQuery);
+            }
             
             // Highlight matching nodes in the diagram
+            this.searchHighlightIds = matchedIds;
             this.container.selectAll('.node')
-                .classed('search-highlight', d => 
-                    filtered.some(f => f.type.name === d.type.name)
-                );
+                .classed('search-highlight', d => matchedIds.has(this.getNodeId(d)));
+            this.canvasRenderer.requestDraw();
         });
     }
     
-    displaySearchResults(results, query) {
+    // `results` are FuzzySearch results, best first
+    displaySearchResults(results, typeQuery) {
         const searchResults = d3.select('#search-results');
+        searchResults.html('');
+        this.searchResultsData = results.slice(0, 10).map(result => result.item); // Show max 10 results
+        this.activeSearchIndex = -1;
+        
+        typeQuery.errors.forEach(error => {
+            searchResults.append('div')
+                .attr('class', 'search-result-item search-query-error')
+                .text(error);
+        });
         
         if (results.length === 0) {
-            searchResults.html('<div class="search-result-item"><div class="search-result-description">No results found</div></div>');
+            searchResults.append('div')
+                .attr('class', 'search-result-item')
+                .append('div')
+                .attr('class', 'search-result-description')
+                .text('No results found');
             this.showSearchResults();
             return;
         }
         
-        const items = searchResults.selectAll('.search-result-item')
-            .data(results.slice(0, 10), d => d.type.name); // Show max 10 results
+        const appendHighlighted = (selection, text, indices) => {
+            FuzzySearch.segments(text, indices).forEach(segment => {
+                selection.append(segment.matched ? 'mark' : 'span').text(segment.text);
+            });
+        };
         
-        items.exit().remove();
+        const items = searchResults.selectAll('.search-result-type-item')
+            .data(results.slice(0, 10))
+            .join('div')
+            .attr('class', 'search-result-item search-result-type-item')
+            .on('click', (event, d) => this.chooseSearchResult(d.item));
         
-        const itemsEnter = items.enter()
-            .append('div')
-            .attr('class', 'search-result-item')
-            .on('click', (event, d) => this.focusOnNode(d));
+        items.each((d, i, nodes) => {
+            const item = d3.select(nodes[i]);
+            appendHighlighted(item.append('div').attr('class', 'search-result-type'), d.item.type.name, d.indices);
+            item.append('div').attr('class', 'search-result-kind').text(d.item.type.kind);
+            if (d.member) {
+                const description = item.append('div').attr('class', 'search-result-description');
+                description.append('span').text('Member: ');
+                appendHighlighted(description, d.member.name, d.member.indices);
+            }
+        });
         
-        const itemsUpdate = itemsEnter.merge(items);
+        const footer = searchResults.append('div').attr('class', 'search-result-item search-result-footer');
+        footer.append('span')
+            .attr('class', 'search-result-description')
+            .text(`${results.length} ${results.length === 1 ? 'match' : 'matches'}${results.length > 10 ? ', showing 10' : ''}`);
+        footer.append('button')
+            .attr('class', 'details-action')
+            .text('Use as filter')
+            .on('click', event => {
+                event.stopPropagation();
+                this.setQueryFilter(typeQuery.text);
+            });
         
-        itemsUpdate.html(d => {
-            const matchingProps = d.type.properties ? d.type.properties.filter(prop => 
-                prop.name.toLowerCase().includes(query.toLowerCase())
-            ).slice(0, 3) : [];
-            
-            const matchingMethods = d.type.methods ? d.type.methods.filter(method => 
-                method.name.toLowerCase().includes(query.toLowerCase())
-            ).slice(0, 3) : [];
-            
-            let description = '';
-            if (matchingProps.length > 0) {
-                description += 'Properties: ' + matchingProps.map(p => p.name).join(', ');
+        this.showSearchResults();
+    }
+    
+    // Up/Down move through the results, Enter opens the highlighted one (or the best match)
+    handleSearchKeydown(event) {
+        const count = this.searchResultsData.length;
+        
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (count === 0) return;
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                this.activeSearchIndex = (this.activeSearchIndex + step + count) % count;
+                this.showSearchResults();
+                
+                const items = d3.selectAll('#search-results .search-result-type-item')
+                    .classed('active', (d, i) => i === this.activeSearchIndex);
+                items.filter((d, i) => i === this.activeSearchIndex).node()?.scrollIntoView({ block: 'nearest' });
+                break;
             }
-            if (matchingMethods.length > 0) {
-                if (description) description += ' • ';
-                description += 'Methods: ' + matchingMethods.map(m => m.name).join(', ');
+            case 'Enter': {
+                if (count === 0) return;
+                event.preventDefault();
+                this.chooseSearchResult(this.searchResultsData[Math.max(0, this.activeSearchIndex)]);
+                break;
             }
-            
-            return `
-                <div class="search-result-type">${d.type.name}</div>
-                <div class="search-result-kind">${d.type.kind}</div>
-                ${description ? `<div class="search-result-description">${description}</div>` : ''}
-            `;
-        });
+        }
+    }
+    
+    chooseSearchResult(node) {
+        this.selectNode(node);
+        this.focusOnNode(node);
+    }
+    
+    // Keeps only the types matching `text` in the diagram until the filter is cleared
+    setQueryFilter(text) {
+        const typeQuery = text ? new TypeQuery(text) : null;
+        this.queryFilter = typeQuery && !typeQuery.isEmpty ? typeQuery : null;
         
-        this.showSearchResults();
+        d3.select('#query-filter-chip').classed('active', !!this.queryFilter);
+        d3.select('#query-filter-text').text(this.queryFilter ? this.queryFilter.text : '');
+        this.hideSearchResults();
+        this.debouncedRender();
     }
     
     showSearchResults() {
@@ -231,53 +1426,73 @@ class SwiftDiagramVisualization {
     
     focusOnNode(nodeData) {
         // Find the node in the diagram and zoom to it
-        const node = this.container.select(`.node[data-name="${nodeData.type.name}"]`).node();
-        if (node) {
-            const bbox = node.getBBox();
-            const centerX = bbox.x + bbox.width / 2;
-            const centerY = bbox.y + bbox.height / 2;
+        const id = this.getNodeId(nodeData);
+        const node = this.currentNodes.find(n => this.getNodeId(n) === id);
+        if (node && node.x !== undefined) {
+            const { width, height } = this.getNodeSize(node);
+            const centerX = node.x + width / 2;
+            const centerY = node.y + height / 2;
             
             // Calculate transform to center the node
-            const svg = d3.select('#diagram');
-            const svgRect = svg.node().getBoundingClientRect();
+            const svgRect = this.svg.node().getBoundingClientRect();
             const scale = 1.5;
             const translateX = svgRect.width / 2 - centerX * scale;
             const translateY = svgRect.height / 2 - centerY * scale;
             
             // Apply zoom transform
-            svg.transition()
+            this.svg.transition()
                 .duration(750)
                 .call(this.zoom.transform, d3.zoomIdentity.translate(translateX, translateY).scale(scale));
             
             // Temporarily highlight the focused node
-            d3.select(node).classed('focused-node', true);
+            const rect = this.container.selectAll('.node').filter(d => this.getNodeId(d) === id);
+            this.focusedNodeId = id;
+            rect.classed('focused-node', true);
+            this.canvasRenderer.requestDraw();
             setTimeout(() => {
-                d3.select(node).classed('focused-node', false);
+                rect.classed('focused-node', false);
+                if (this.focusedNodeId === id) {
+                    this.focusedNodeId = null;
+                    this.canvasRenderer.requestDraw();
+                }
             }, 2000);
         }
         
         this.hideSearchResults();
     }
     
+    // Merged workspaces key nodes by module and name; single analyses by name alone
+    getNodeId(node) {
+        return node.id || node.type.name;
+    }
+    
+    getRelationshipTargetId(rel) {
+        return rel.toId || rel.to;
+    }
+    
     getNodeColor(kind) {
         const colors = {
             'class': 'var(--node-class)',
             'struct': 'var(--node-struct)',
             'protocol': 'var(--node-protocol)',
             'enum': 'var(--node-enum)',
-            'actor': 'var(--node-actor)'
+            'actor': 'var(--node-actor)',
+            'module': 'var(--node-module)'
         };
         return colors[kind] || 'var(--node-class)';
     }
     
+    getModuleName(node) {
+        return node.type.moduleName || '(no module)';
+    }
+    
+    usesCanvas(nodes) {
+        return this.rendererMode === 'canvas' ||
+            (this.rendererMode === 'auto' && nodes.length > CanvasRenderer.autoThreshold);
+    }
+    
     getRelationshipColor(kind) {
-        const colors = {
-            'inherits': '#3498db',
-            'conforms': '#9b59b6',
-            'contains': '#e74c3c',
-            'uses': '#95a5a6'
-        };
-        return colors[kind] || '#95a5a6';
+        return RelationshipKinds.style(kind).color;
     }
     
     // Debounced rendering for performance optimization
@@ -322,159 +1537,795 @@ class SwiftDiagramVisualization {
             this.render();
             this.isRendering = false;
             
-            // Handle any pending render requests
-            if (this.pendingRenderRequests > 0) {
-                this.debouncedRender(16); // ~60fps
-            }
+            // Handle any pending render requests
+            if (this.pendingRenderRequests > 0) {
+                this.debouncedRender(16); // ~60fps
+            }
+        });
+    }
+    
+    render() {
+        const renderStart = performance.now();
+        
+        const showProperties = d3.select('#show-properties').property('checked');
+        const showMethods = d3.select('#show-methods').property('checked');
+        const showInitializers = d3.select('#show-initializers').property('checked');
+        const showPrivate = d3.select('#show-private').property('checked');
+        
+        let filteredNodes = this.data.nodes;
+        if (!showPrivate) {
+            filteredNodes = filteredNodes.filter(node => node.type.accessLevel !== 'private');
+        }
+        if (this.visibleTypes) {
+            filteredNodes = filteredNodes.filter(node => this.visibleTypes.has(this.getNodeId(node)));
+        }
+        if (this.queryFilter) {
+            // The same matching as the search dropdown the filter was taken from
+            const matched = new Set(this.queryFilter.search(filteredNodes).map(result => result.item));
+            filteredNodes = filteredNodes.filter(node => matched.has(node));
+        }
+        if (this.showOnlyCycles && this.cycleAnalysis) {
+            filteredNodes = filteredNodes.filter(node => this.cycleAnalysis.memberOf.has(this.getNodeId(node)));
+        }
+        
+        // Folded types stay in the type list, like the members of collapsed modules
+        const folded = this.typeTree.fold(filteredNodes, this.foldedNested, this.foldedSubtrees);
+        this.foldBadges = folded.badges;
+        
+        this.groupByModule = d3.select('#group-by-module').property('checked');
+        const diagramNodes = this.groupByModule ? this.collapseModules(folded.nodes) : folded.nodes;
+        
+        this.renderDiagram(diagramNodes, showProperties, showMethods, showInitializers);
+        this.updateTypeList(filteredNodes);
+        this.filteredNodes = filteredNodes;
+        if (this.activeView === 'conformance') {
+            this.renderConformanceMatrix();
+        } else if (this.activeView === 'dsm') {
+            this.renderDependencyMatrix();
+        }
+        
+        // Track performance metrics
+        const renderTime = performance.now() - renderStart;
+        this.updatePerformanceMetrics(renderTime);
+        
+        if (this.restoringUrlState) {
+            this.finishUrlRestore();
+        } else {
+            this.syncUrl({ push: true });
+        }
+    }
+    
+    updatePerformanceMetrics(renderTime) {
+        this.performanceMetrics.renderCount++;
+        this.performanceMetrics.lastFrameTimes.push(renderTime);
+        
+        // Keep only last 60 frame times for rolling average
+        if (this.performanceMetrics.lastFrameTimes.length > 60) {
+            this.performanceMetrics.lastFrameTimes.shift();
+        }
+        
+        // Calculate rolling average
+        const sum = this.performanceMetrics.lastFrameTimes.reduce((a, b) => a + b, 0);
+        this.performanceMetrics.averageRenderTime = sum / this.performanceMetrics.lastFrameTimes.length;
+        
+        // Log performance warnings for slow renders
+        if (renderTime > 100) {
+            console.warn(`Slow render detected: ${renderTime.toFixed(2)}ms (Average: ${this.performanceMetrics.averageRenderTime.toFixed(2)}ms)`);
+        }
+    }
+    
+    // Replaces the types of every collapsed module with a single summary node
+    collapseModules(nodes) {
+        const result = [];
+        const collapsedMembers = new Map();
+        
+        nodes.forEach(node => {
+            const moduleName = this.getModuleName(node);
+            if (this.collapsedModules.has(moduleName)) {
+                if (!collapsedMembers.has(moduleName)) collapsedMembers.set(moduleName, []);
+                collapsedMembers.get(moduleName).push(node);
+            } else {
+                result.push(node);
+            }
+        });
+        
+        collapsedMembers.forEach((members, moduleName) => {
+            // Reuse summary nodes so they keep their position between renders
+            let summary = this.moduleSummaryNodes.get(moduleName);
+            if (!summary) {
+                summary = {
+                    id: `module:${moduleName}`,
+                    type: { name: moduleName, kind: 'module', moduleName, accessLevel: 'public' },
+                    isModuleSummary: true
+                };
+                this.moduleSummaryNodes.set(moduleName, summary);
+            }
+            summary.members = members;
+            summary.relationships = members.flatMap(member => member.relationships);
+            result.push(summary);
+        });
+        
+        return result;
+    }
+    
+    toggleModuleCollapse(moduleName) {
+        if (this.collapsedModules.has(moduleName)) {
+            this.collapsedModules.delete(moduleName);
+        } else {
+            this.collapsedModules.add(moduleName);
+        }
+        this.debouncedRender();
+    }
+    
+    // Edges touching a collapsed module are aggregated into one counted edge per endpoint pair
+    buildLinks(nodes) {
+        const links = [];
+        const aggregated = new Map();
+        const nodeIds = new Set(nodes.map(n => this.getNodeId(n)));
+        const summaryIds = new Map();
+        
+        nodes.filter(n => n.isModuleSummary).forEach(summary => {
+            summary.members.forEach(member => summaryIds.set(this.getNodeId(member), summary.id));
+        });
+        
+        // Extract relationships from nodes
+        nodes.forEach(node => {
+            const sourceId = this.getNodeId(node);
+            node.relationships.forEach(rel => {
+                const rawTargetId = this.getRelationshipTargetId(rel);
+                const targetId = summaryIds.get(rawTargetId) || rawTargetId;
+                if (!nodeIds.has(targetId)) return;
+                
+                if (node.isModuleSummary || summaryIds.has(rawTargetId)) {
+                    if (sourceId === targetId) return;
+                    const key = `${sourceId}->${targetId}`;
+                    if (!aggregated.has(key)) {
+                        aggregated.set(key, { source: sourceId, target: targetId, kind: 'module', count: 0 });
+                    }
+                    aggregated.get(key).count++;
+                } else {
+                    links.push({
+                        source: sourceId,
+                        target: targetId,
+                        kind: rel.kind,
+                        diffStatus: rel.diffStatus
+                    });
+                }
+            });
+        });
+        
+        // Nested types are linked to the parent they are declared in
+        nodes.forEach(node => {
+            if (node.isModuleSummary) return;
+            const parentId = this.typeTree.nestingParents.get(this.getNodeId(node));
+            if (parentId && nodeIds.has(parentId)) {
+                links.push({ source: this.getNodeId(node), target: parentId, kind: 'nested' });
+            }
+        });
+        
+        return links.concat([...aggregated.values()]);
+    }
+    
+    // Lays module centres out on a circle so each group settles in its own area
+    getModuleCenters(nodes) {
+        const moduleNames = [...new Set(nodes.map(n => this.getModuleName(n)))].sort();
+        const radius = moduleNames.length > 1 ? 150 * moduleNames.length : 0;
+        const centers = new Map();
+        
+        moduleNames.forEach((moduleName, index) => {
+            const angle = (2 * Math.PI * index) / moduleNames.length;
+            centers.set(moduleName, {
+                x: 400 + radius * Math.cos(angle),
+                y: 300 + radius * Math.sin(angle)
+            });
+        });
+        
+        return centers;
+    }
+    
+    renderDiagram(nodes, showProperties, showMethods, showInitializers) {
+        // Links reference node objects so that edges hidden from the simulation still have endpoints.
+        // Keys identify a link across renders; repeated relationships are numbered.
+        const nodesById = new Map(nodes.map(n => [this.getNodeId(n), n]));
+        const keyCounts = new Map();
+        const links = this.buildLinks(nodes).map(link => {
+            const baseKey = this.edgeKey(link.source, link.kind, link.target);
+            const occurrence = keyCounts.get(baseKey) || 0;
+            keyCounts.set(baseKey, occurrence + 1);
+            return {
+                ...link,
+                key: occurrence > 0 ? `${baseKey}#${occurrence}` : baseKey,
+                source: nodesById.get(link.source),
+                target: nodesById.get(link.target)
+            };
+        });
+        const previousIds = new Set(this.currentNodes.map(n => this.getNodeId(n)));
+        const isUpdate = previousIds.size > 0 && nodes.some(n => previousIds.has(this.getNodeId(n)));
+        this.compartmentCache.clear();
+        this.nodeSizes.clear();
+        this.currentNodes = nodes;
+        this.currentLinks = links;
+        this.displayOptions = { showProperties, showMethods, showInitializers };
+        
+        this.placeEnteringNodes(nodes, links, previousIds);
+        this.applyPinnedPositions(nodes, links);
+        
+        // Layers are created once; renders update the elements inside them
+        if (!this.diagramGroup) {
+            this.diagramGroup = this.container.append('g').attr('class', 'diagram-content');
+            ['module-blobs', 'module-groups', 'cycle-outlines', 'links', 'link-counts', 'nodes'].forEach(layer => {
+                this.diagramGroup.append('g').attr('class', layer);
+            });
+            this.applyDetailLevel();
+        }
+        
+        this.updateRelationshipCounts(links);
+        
+        if (this.usesCanvas(nodes)) {
+            this.cycleOutlines = null;
+            this.moduleBlobs = null;
+            this.diagramGroup.selectAll(':scope > g > *').remove();
+            this.canvasRenderer.show(nodes, links);
+            this.updatePositions = () => this.canvasRenderer.invalidatePositions();
+        } else {
+            this.canvasRenderer.hide();
+            this.renderSvgElements(nodes, links, showProperties, showMethods, showInitializers);
+        }
+        
+        // Force layout runs in a worker; with "Settle first" the diagram stays hidden until it is done
+        const precompute = this.layoutMode === 'force' && d3.select('#precompute-layout').property('checked');
+        const centers = this.groupByModule ? this.getModuleCenters(nodes) : null;
+        d3.select('.diagram-container').classed('layout-pending', precompute);
+        this.forceLayout.start(nodes, this.getVisibleLinks(), {
+            precompute,
+            // Updates nudge the existing layout instead of settling it from scratch
+            alpha: isUpdate ? 0.3 : 1,
+            getCenter: d => centers
+                ? { ...centers.get(this.getModuleName(d)), strength: 0.15 }
+                : { x: 400, y: 300, strength: 0.05 }
+        });
+        this.updatePositions();
+        
+        this.applyPathHighlight();
+        this.applyImpactHighlight();
+        this.applyCycleHighlight();
+        
+        if (this.layoutMode !== 'force') {
+            this.applyLayout(isUpdate);
+        }
+    }
+    
+    // One SVG group per type; used below CanvasRenderer.autoThreshold. Elements are joined by
+    // id so surviving types keep their element, entering ones fade in and exiting ones fade out.
+    // Joins skip elements still fading out, so a type shown again gets a fresh element.
+    renderSvgElements(nodes, links, showProperties, showMethods, showInitializers) {
+        const diagramGroup = this.diagramGroup;
+        const fadeIn = selection => selection
+            .style('opacity', 0)
+            .transition()
+            .duration(SwiftDiagramVisualization.fadeDuration)
+            .style('opacity', null);
+        const fadeOut = selection => selection
+            .classed('exiting', true)
+            .transition()
+            .duration(SwiftDiagramVisualization.fadeDuration)
+            .style('opacity', 0)
+            .remove();
+        
+        // Zoomed out, each module is a labelled blob around its types
+        const modules = [...d3.group(nodes.filter(n => !n.isModuleSummary), n => this.getModuleName(n))];
+        this.moduleBlobs = diagramGroup.select('.module-blobs')
+            .selectAll('.module-blob:not(.exiting)')
+            .data(modules.length > 1 ? modules : [], d => d[0])
+            .join(
+                enter => {
+                    const group = enter.append('g').attr('class', 'module-blob');
+                    group.append('path').attr('class', 'module-blob-shape');
+                    group.append('text').attr('class', 'module-blob-label');
+                    return group.call(fadeIn);
+                },
+                update => update,
+                exit => exit.call(fadeOut)
+            );
+        this.moduleBlobs.select('.module-blob-shape')
+            .style('fill', ([moduleName]) => this.getModuleColor(moduleName))
+            .style('stroke', ([moduleName]) => this.getModuleColor(moduleName));
+        this.moduleBlobs.select('.module-blob-label')
+            .text(([moduleName, members]) => `${moduleName} (${members.length})`)
+            .style('font-size', `${13 / d3.zoomTransform(this.svg.node()).k}px`);
+        
+        // Module containers are drawn first so they sit behind links and nodes
+        const expandedModules = this.groupByModule
+            ? [...d3.group(nodes.filter(n => !n.isModuleSummary), n => this.getModuleName(n))]
+            : [];
+        const moduleGroup = diagramGroup.select('.module-groups')
+            .selectAll('.module-group:not(.exiting)')
+            .data(expandedModules, d => d[0])
+            .join(
+                enter => {
+                    const group = enter.append('g').attr('class', 'module-group');
+                    group.append('rect')
+                        .attr('class', 'module-box')
+                        .attr('rx', 12)
+                        .attr('ry', 12);
+                    group.append('text')
+                        .attr('class', 'module-label')
+                        .on('click', (event, [moduleName]) => this.toggleModuleCollapse(moduleName));
+                    return group.call(fadeIn);
+                },
+                update => update,
+                exit => exit.call(fadeOut)
+            );
+        moduleGroup.select('.module-label')
+            .text(([moduleName, members]) => `${moduleName} (${members.length}) ▾`);
+        
+        this.cycleOutlines = diagramGroup.select('.cycle-outlines');
+        
+        const link = diagramGroup.select('.links')
+            .selectAll('.link:not(.exiting)')
+            .data(links, d => d.key)
+            .join(
+                enter => enter.append('line').call(fadeIn),
+                update => update,
+                exit => exit.call(fadeOut)
+            )
+            .attr('class', d => `link ${d.kind}${d.diffStatus ? ` diff-${d.diffStatus}` : ''}`)
+            .classed('kind-hidden', d => this.hiddenRelationshipKinds.has(d.kind))
+            .style('stroke', d => this.getRelationshipColor(d.kind))
+            .style('stroke-dasharray', d => RelationshipKinds.style(d.kind).dash)
+            .style('marker-end', d => `url(#arrowhead-${d.kind})`)
+            .attr('stroke-width', d => d.count ? Math.min(2 + Math.log2(d.count) * 2, 10) : (d.kind === 'contains' ? 3 : 2));
+        
+        const linkCount = diagramGroup.select('.link-counts')
+            .selectAll('.link-count:not(.exiting)')
+            .data(links.filter(d => d.count), d => d.key)
+            .join(
+                enter => enter.append('text').attr('class', 'link-count').call(fadeIn),
+                update => update,
+                exit => exit.call(fadeOut)
+            )
+            .classed('kind-hidden', d => this.hiddenRelationshipKinds.has(d.kind))
+            .text(d => d.count);
+        
+        const node = diagramGroup.select('.nodes')
+            .selectAll('.node-group:not(.exiting)')
+            .data(nodes, d => this.getNodeId(d))
+            .join(
+                enter => {
+                    const group = enter.append('g')
+                        .attr('class', 'node-group')
+                        .call(d3.drag()
+                            .on('start', this.handleDragStart.bind(this))
+                            .on('drag', this.handleDrag.bind(this))
+                            .on('end', this.handleDragEnd.bind(this)));
+                    
+                    group.append('rect')
+                        .attr('rx', 8)
+                        .attr('ry', 8);
+                    // Stands in for the box when zoomed out
+                    group.append('circle').attr('class', 'node-dot');
+                    group.selectAll('rect, circle')
+                        .on('click', (event, d) => this.selectNode(d))
+                        .on('dblclick', (event, d) => {
+                            event.stopPropagation();
+                            if (d.isModuleSummary) {
+                                this.toggleModuleCollapse(d.type.name);
+                            } else {
+                                this.unpinNode(d);
+                            }
+                        });
+                    return group.call(fadeIn);
+                },
+                update => update,
+                exit => exit.call(fadeOut)
+            );
+        
+        // Data joins hand the new datum to the group only; the shapes and texts read it from there.
+        // Box and dot share the `node` class, so highlights apply to whichever is shown.
+        const nodeClass = d => `node${d.diff ? ` diff-${d.diff.status}` : ''}`;
+        const rect = node.select('rect')
+            .attr('class', nodeClass)
+            .attr('data-id', d => this.getNodeId(d))
+            .attr('data-name', d => d.type.name)
+            .attr('width', d => this.getNodeSize(d).width)
+            .attr('height', d => this.getNodeSize(d).height);
+        const dot = node.select('.node-dot')
+            .attr('class', d => `${nodeClass(d)} node-dot`)
+            .attr('cx', d => this.getNodeSize(d).width / 2)
+            .attr('cy', d => this.getNodeSize(d).height / 2)
+            .attr('r', d => 24 * this.getMetricScale(d));
+        [rect, dot].forEach(shape => shape
+            .classed('pinned', d => this.pinnedPositions.has(this.getNodeId(d)))
+            .classed('selected', d => !!this.selectedNode && this.getNodeId(d) === this.getNodeId(this.selectedNode))
+            .classed('search-highlight', d => !!this.searchHighlightIds && this.searchHighlightIds.has(this.getNodeId(d)))
+            .attr('fill', d => this.getNodeFill(d)));
+        
+        // Header and compartments are rebuilt only for types whose content changed
+        const contentKey = d => [
+            showProperties, showMethods, showInitializers,
+            this.expandedNodes.has(this.getNodeId(d)),
+            this.getMetricScale(d),
+            d.isModuleSummary ? d.members.length : '',
+            this.getFoldBadges(d).map(badge => badge.text).join(',')
+        ].join('|');
+        const changed = node.filter((d, i, groups) => groups[i].getAttribute('data-content') !== contentKey(d));
+        changed.selectAll(':scope > :not(rect, .node-dot)').remove();
+        changed.attr('data-content', contentKey);
+        this.addNodeContent(changed, showProperties, showMethods, showInitializers);
+        
+        this.updatePositions = () => {
+            link
+                .attr('x1', d => d.source.x + this.getNodeSize(d.source).width / 2)
+                .attr('y1', d => d.source.y + this.getNodeSize(d.source).height / 2)
+                .attr('x2', d => d.target.x + this.getNodeSize(d.target).width / 2)
+                .attr('y2', d => d.target.y + this.getNodeSize(d.target).height / 2);
+            
+            linkCount
+                .attr('x', d => (d.source.x + d.target.x) / 2 + this.getNodeSize(d.source).width / 2)
+                .attr('y', d => (d.source.y + d.target.y) / 2 + this.getNodeSize(d.source).height / 2);
+            
+            node.attr('transform', d => `translate(${d.x},${d.y})`);
+            
+            if (this.groupByModule) {
+                this.updateModuleBoxes(moduleGroup);
+            }
+            if (this.detailLevel === 'overview') {
+                this.updateModuleBlobs();
+            }
+            this.updateCycleOutlines();
+        };
+    }
+    
+    static get fadeDuration() {
+        return 300;
+    }
+    
+    // Types that were not in the previous render start next to neighbours that were, or
+    // where their collapsed module was, so the layout around them stays where it was
+    placeEnteringNodes(nodes, links, previousIds) {
+        const neighbours = new Map();
+        const addNeighbour = (node, other) => {
+            if (!neighbours.has(node)) neighbours.set(node, []);
+            neighbours.get(node).push(other);
+        };
+        links.forEach(({ source, target }) => {
+            addNeighbour(source, target);
+            addNeighbour(target, source);
+        });
+        
+        const wasShown = node => previousIds.has(this.getNodeId(node)) && node.x !== undefined;
+        const jitter = () => (Math.random() - 0.5) * 120;
+        
+        nodes.forEach(node => {
+            if (previousIds.has(this.getNodeId(node))) return;
+            
+            const anchors = node.isModuleSummary
+                ? node.members.filter(wasShown)
+                : (neighbours.get(node) || []).filter(wasShown);
+            const summary = this.moduleSummaryNodes.get(this.getModuleName(node));
+            if (anchors.length === 0 && summary && summary !== node && wasShown(summary)) {
+                anchors.push(summary);
+            }
+            if (anchors.length === 0) return;
+            
+            node.x = d3.mean(anchors, anchor => anchor.x) + jitter();
+            node.y = d3.mean(anchors, anchor => anchor.y) + jitter();
+            node.vx = 0;
+            node.vy = 0;
+        });
+    }
+    
+    handleLayoutPositions() {
+        // Cancel previous frame request if still pending
+        if (this.tickRequestId) {
+            cancelAnimationFrame(this.tickRequestId);
+        }
+        
+        // Use requestAnimationFrame for smoother animations
+        this.tickRequestId = requestAnimationFrame(() => {
+            this.updatePositions();
+            this.tickRequestId = null;
+        });
+    }
+    
+    // `progress` is 0..1 while the layout settles, null once it has stopped
+    showLayoutProgress(progress) {
+        d3.select('#layout-progress').classed('active', progress !== null);
+        if (progress === null) return;
+        
+        d3.select('#layout-progress-bar').property('value', progress);
+        d3.select('#layout-progress-text').text(`Layout ${Math.round(progress * 100)}%`);
+    }
+    
+    setLayoutMode(mode) {
+        this.layoutMode = mode;
+        this.applyLayout(true);
+        this.syncUrl({ push: true });
+    }
+    
+    // Force mode releases the nodes back to the simulation; the other modes compute
+    // fixed positions with HierarchyLayout and optionally animate nodes towards them.
+    applyLayout(animate) {
+        const nodes = this.currentNodes;
+        if (this.layoutTimer) {
+            this.layoutTimer.stop();
+            this.layoutTimer = null;
+        }
+        
+        if (this.layoutMode === 'force') {
+            nodes.forEach(d => {
+                const pin = this.pinnedPositions.get(this.getNodeId(d));
+                d.fx = pin ? pin.x : null;
+                d.fy = pin ? pin.y : null;
+            });
+            this.forceLayout.restart({ alpha: 1 });
+            return;
+        }
+        
+        this.forceLayout.stop();
+        
+        const targets = HierarchyLayout.compute(nodes, this.getVisibleLinks(), this.layoutMode, d => this.getNodeId(d), d => this.getNodeSize(d));
+        const starts = new Map(nodes.map(d => [d, { x: d.x, y: d.y }]));
+        
+        const moveTo = (progress) => {
+            nodes.forEach(d => {
+                const start = starts.get(d);
+                const target = targets.get(this.getNodeId(d));
+                d.x = start.x + (target.x - start.x) * progress;
+                d.y = start.y + (target.y - start.y) * progress;
+                if (progress === 1) {
+                    d.fx = d.x;
+                    d.fy = d.y;
+                }
+            });
+            this.updatePositions();
+        };
+        
+        if (!animate) {
+            moveTo(1);
+            return;
+        }
+        
+        this.layoutTimer = d3.timer(elapsed => {
+            const t = Math.min(elapsed / 750, 1);
+            moveTo(t === 1 ? 1 : d3.easeCubicInOut(t));
+            if (t === 1) {
+                this.layoutTimer.stop();
+                this.layoutTimer = null;
+            }
+        });
+    }
+    
+    // Box around the members of an expanded module, with room for its label above them
+    getModuleBox(members) {
+        const padding = 20;
+        const labelHeight = 24;
+        return {
+            x0: d3.min(members, n => n.x) - padding,
+            y0: d3.min(members, n => n.y) - padding - labelHeight,
+            x1: d3.max(members, n => n.x + this.getNodeSize(n).width) + padding,
+            y1: d3.max(members, n => n.y + this.getNodeSize(n).height) + padding
+        };
+    }
+    
+    updateModuleBoxes(moduleGroup) {
+        moduleGroup.each((d, i, groups) => {
+            const { x0, y0, x1, y1 } = this.getModuleBox(d[1]);
+            
+            const group = d3.select(groups[i]);
+            group.select('.module-box')
+                .attr('x', x0)
+                .attr('y', y0)
+                .attr('width', x1 - x0)
+                .attr('height', y1 - y0);
+            group.select('.module-label')
+                .attr('x', x0 + 12)
+                .attr('y', y0 + 17);
         });
     }
     
-    render() {
-        const renderStart = performance.now();
+    updateModuleBlobs() {
+        if (!this.moduleBlobs) return;
         
-        const showProperties = d3.select('#show-properties').property('checked');
-        const showMethods = d3.select('#show-methods').property('checked');
-        const showInitializers = d3.select('#show-initializers').property('checked');
-        const showPrivate = d3.select('#show-private').property('checked');
-        
-        let filteredNodes = this.data.nodes;
-        if (!showPrivate) {
-            filteredNodes = filteredNodes.filter(node => node.type.accessLevel !== 'private');
+        this.moduleBlobs.each(([, members], i, groups) => {
+            const hull = this.getCycleHull(members);
+            const [x, y] = d3.polygonCentroid(hull);
+            const group = d3.select(groups[i]);
+            group.select('.module-blob-shape').attr('d', `M${hull.join('L')}Z`);
+            group.select('.module-blob-label').attr('x', x).attr('y', y);
+        });
+    }
+    
+    // Colour derived from the module name, so a module keeps it as other modules come and go
+    getModuleColor(moduleName) {
+        let hash = 0;
+        for (const char of moduleName) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
         }
-        
-        this.renderDiagram(filteredNodes, showProperties, showMethods, showInitializers);
-        this.updateTypeList(filteredNodes);
-        
-        // Track performance metrics
-        const renderTime = performance.now() - renderStart;
-        this.updatePerformanceMetrics(renderTime);
+        return d3.schemeTableau10[hash % d3.schemeTableau10.length];
     }
     
-    updatePerformanceMetrics(renderTime) {
-        this.performanceMetrics.renderCount++;
-        this.performanceMetrics.lastFrameTimes.push(renderTime);
-        
-        // Keep only last 60 frame times for rolling average
-        if (this.performanceMetrics.lastFrameTimes.length > 60) {
-            this.performanceMetrics.lastFrameTimes.shift();
+    getNodeSize(node) {
+        let size = this.nodeSizes.get(node);
+        if (!size) {
+            const { showProperties, showMethods, showInitializers } = this.displayOptions;
+            size = {
+                width: this.getNodeWidth(node, showProperties, showMethods, showInitializers),
+                height: this.getNodeHeight(node, showProperties, showMethods, showInitializers)
+            };
+            this.nodeSizes.set(node, size);
         }
+        return size;
+    }
+    
+    getNodeWidth(node, showProperties, showMethods, showInitializers) {
+        const compartments = this.getCompartments(node, showProperties, showMethods, showInitializers);
+        const longestMember = d3.max(compartments.flatMap(compartment => compartment.lines), line => line.text.length) || 0;
+        const width = Math.max(180, node.type.name.length * 8 + 40, longestMember * 6.5 + 16);
+        return width * this.getMetricScale(node);
+    }
+    
+    // Header (name, <<kind>>, counts) plus one compartment per shown member list
+    getNodeHeight(node, showProperties, showMethods, showInitializers) {
+        const compartments = this.getCompartments(node, showProperties, showMethods, showInitializers);
+        const height = SwiftDiagramVisualization.headerHeight + d3.sum(compartments, compartment =>
+            SwiftDiagramVisualization.compartmentPadding * 2 +
+            (compartment.lines.length + (compartment.toggle ? 1 : 0)) * SwiftDiagramVisualization.memberLineHeight);
+        return height * this.getMetricScale(node);
+    }
+    
+    static get headerHeight() {
+        return 60;
+    }
+    
+    static get memberLineHeight() {
+        return 14;
+    }
+    
+    static get compartmentPadding() {
+        return 4;
+    }
+    
+    // Collapsed compartments show at most this many rows, the last one being "+N more"
+    static get collapsedMemberRows() {
+        return 5;
+    }
+    
+    // UML member line: visibility marker, static, Swift effects and the type
+    formatMember(category, member) {
+        const marker = UMLTextExporter.visibilityMarker(member.accessLevel);
+        const staticPrefix = member.isStatic || member.isClass ? 'static ' : '';
+        const params = (member.parameters || []).map(p => `${p.name}: ${p.typeName}`).join(', ');
+        const effects = [member.isAsync && 'async', member.throws && 'throws', member.rethrows && 'rethrows']
+            .filter(Boolean)
+            .map(effect => ` ${effect}`)
+            .join('');
         
-        // Calculate rolling average
-        const sum = this.performanceMetrics.lastFrameTimes.reduce((a, b) => a + b, 0);
-        this.performanceMetrics.averageRenderTime = sum / this.performanceMetrics.lastFrameTimes.length;
-        
-        // Log performance warnings for slow renders
-        if (renderTime > 100) {
-            console.warn(`Slow render detected: ${renderTime.toFixed(2)}ms (Average: ${this.performanceMetrics.averageRenderTime.toFixed(2)}ms)`);
+        let text;
+        if (category === 'properties') {
+            text = `${marker} ${staticPrefix}${member.name}: ${member.typeName}`;
+        } else if (category === 'initializers') {
+            text = `${marker} init${member.isFailable ? '?' : ''}(${params})${effects}`;
+        } else {
+            const returnType = member.returnType ? ` -> ${member.returnType}` : '';
+            text = `${marker} ${staticPrefix}${member.name}(${params})${effects}${returnType}`;
         }
+        
+        const maxLength = 56;
+        return {
+            text: text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text,
+            fullText: text,
+            isStatic: !!staticPrefix
+        };
     }
     
-    renderDiagram(nodes, showProperties, showMethods, showInitializers) {
-        const links = [];
-        // Extract relationships from nodes
-        nodes.forEach(node => {
-            node.relationships.forEach(rel => {
-                if (nodes.find(n => n.type.name === rel.to)) {
-                    links.push({
-                        source: node.type.name,
-                        target: rel.to,
-                        kind: rel.kind
-                    });
+    // Cached per render because node sizes are read on every simulation tick
+    getCompartments(node, showProperties, showMethods, showInitializers) {
+        if (node.isModuleSummary) return [];
+        
+        const id = this.getNodeId(node);
+        const expanded = this.expandedNodes.has(id);
+        const key = `${id}|${showProperties}|${showMethods}|${showInitializers}|${expanded}`;
+        if (this.compartmentCache.has(key)) return this.compartmentCache.get(key);
+        
+        const compartments = [
+            ['properties', showProperties, node.type.properties],
+            ['initializers', showInitializers, node.type.initializers],
+            ['methods', showMethods, node.type.methods]
+        ]
+            .filter(([, shown, members]) => shown && members?.length > 0)
+            .map(([category, , members]) => {
+                const lines = members.map(member => this.formatMember(category, member));
+                const limit = SwiftDiagramVisualization.collapsedMemberRows;
+                if (lines.length <= limit) {
+                    return { category, lines, toggle: null };
                 }
+                if (expanded) {
+                    return { category, lines, toggle: '− show less' };
+                }
+                return { category, lines: lines.slice(0, limit - 1), toggle: `+${lines.length - limit + 1} more` };
             });
-        });
         
-        // Clear existing content
-        this.container.selectAll('.diagram-content').remove();
-        const diagramGroup = this.container.append('g').attr('class', 'diagram-content');
-        
-        // Create simulation with enhanced forces
-        this.simulation = d3.forceSimulation(nodes)
-            .force('link', d3.forceLink(links).id(d => d.type.name).distance(150).strength(0.1))
-            .force('charge', d3.forceManyBody().strength(-800))
-            .force('center', d3.forceCenter(400, 300))
-            .force('collision', d3.forceCollide().radius(80))
-            .force('x', d3.forceX(400).strength(0.05))
-            .force('y', d3.forceY(300).strength(0.05));
-        
-        // Create links
-        const link = diagramGroup.append('g')
-            .attr('class', 'links')
-            .selectAll('line')
-            .data(links)
-            .join('line')
-            .attr('class', d => `link ${d.kind}`)
-            .attr('stroke', d => this.getRelationshipColor(d.kind))
-            .attr('stroke-width', d => d.kind === 'contains' ? 3 : 2);
-        
-        // Create nodes
-        const node = diagramGroup.append('g')
-            .attr('class', 'nodes')
-            .selectAll('g')
-            .data(nodes)
-            .join('g')
-            .attr('class', 'node-group')
-            .call(d3.drag()
-                .on('start', this.handleDragStart.bind(this))
-                .on('drag', this.handleDrag.bind(this))
-                .on('end', this.handleDragEnd.bind(this)));
-        
-        // Add rectangles for nodes
-        node.append('rect')
-            .attr('class', 'node')
-            .attr('data-name', d => d.type.name)
-            .attr('width', d => this.getNodeWidth(d, showProperties, showMethods, showInitializers))
-            .attr('height', d => this.getNodeHeight(d, showProperties, showMethods, showInitializers))
-            .attr('rx', 8)
-            .attr('ry', 8)
-            .attr('fill', d => this.getNodeColor(d.type.kind))
-            .on('click', (event, d) => this.selectNode(d));
-        
-        // Add node content
-        this.addNodeContent(node, showProperties, showMethods, showInitializers);
-        
-        // Optimized simulation tick handler with requestAnimationFrame
-        let tickRequestId = null;
-        this.simulation.on('tick', () => {
-            // Cancel previous frame request if still pending
-            if (tickRequestId) {
-                cancelAnimationFrame(tickRequestId);
-            }
-            
-            // Use requestAnimationFrame for smoother animations
-            tickRequestId = requestAnimationFrame(() => {
-                link
-                    .attr('x1', d => d.source.x + this.getNodeWidth(d.source, showProperties, showMethods, showInitializers) / 2)
-                    .attr('y1', d => d.source.y + this.getNodeHeight(d.source, showProperties, showMethods, showInitializers) / 2)
-                    .attr('x2', d => d.target.x + this.getNodeWidth(d.target, showProperties, showMethods, showInitializers) / 2)
-                    .attr('y2', d => d.target.y + this.getNodeHeight(d.target, showProperties, showMethods, showInitializers) / 2);
-                
-                node.attr('transform', d => `translate(${d.x},${d.y})`);
-                tickRequestId = null;
+        this.compartmentCache.set(key, compartments);
+        return compartments;
+    }
+    
+    // Divider and row positions of the member compartments, relative to the node's corner;
+    // row `y` is the middle of the line
+    getCompartmentLayout(node, showProperties, showMethods, showInitializers) {
+        const lineHeight = SwiftDiagramVisualization.memberLineHeight;
+        const padding = SwiftDiagramVisualization.compartmentPadding;
+        const layout = { dividers: [], rows: [] };
+        let y = SwiftDiagramVisualization.headerHeight;
+        
+        this.getCompartments(node, showProperties, showMethods, showInitializers).forEach(compartment => {
+            layout.dividers.push(y);
+            y += padding;
+            compartment.lines.forEach(line => {
+                layout.rows.push({ ...line, y: y + lineHeight / 2, isToggle: false });
+                y += lineHeight;
             });
+            if (compartment.toggle) {
+                layout.rows.push({ text: compartment.toggle, y: y + lineHeight / 2, isToggle: true });
+                y += lineHeight;
+            }
+            y += padding;
         });
+        
+        return layout;
     }
     
-    getNodeWidth(node, showProperties, showMethods, showInitializers) {
-        let width = 180;
-        if (showProperties && node.type.properties?.length > 0) width += 20;
-        if (showMethods && node.type.methods?.length > 0) width += 20;
-        if (showInitializers && node.type.initializers?.length > 0) width += 20;
-        return Math.max(width, node.type.name.length * 8 + 40);
+    // Third header line: member counts, or the number of types of a module summary
+    getNodeSummary(node) {
+        if (node.isModuleSummary) {
+            return `${node.members.length} types`;
+        }
+        const propCount = node.type.properties?.length || 0;
+        const methodCount = node.type.methods?.length || 0;
+        const initCount = node.type.initializers?.length || 0;
+        return `${propCount}p, ${methodCount}m, ${initCount}i`;
     }
     
-    getNodeHeight(node, showProperties, showMethods, showInitializers) {
-        let height = 60;
-        if (showProperties && node.type.properties?.length > 0) {
-            height += Math.min(node.type.properties.length * 15, 80);
+    toggleNodeExpanded(node) {
+        const id = this.getNodeId(node);
+        if (this.expandedNodes.has(id)) {
+            this.expandedNodes.delete(id);
+        } else {
+            this.expandedNodes.add(id);
         }
-        if (showMethods && node.type.methods?.length > 0) {
-            height += Math.min(node.type.methods.length * 15, 80);
+        this.debouncedRender();
+    }
+    
+    // Pills under the box for the node's nested types and folded subtree, relative to its corner
+    getFoldBadges(node) {
+        const badges = this.foldBadges.get(this.getNodeId(node)) || [];
+        const y = this.getNodeSize(node).height + 4;
+        let x = 0;
+        
+        return badges.map(badge => {
+            const text = badge.action === 'nested'
+                ? `${badge.folded ? '▸' : '▾'} ${badge.count} nested`
+                : `+${badge.count} ${node.type.kind === 'protocol' ? 'conformers' : 'subclasses'}`;
+            const width = text.length * 6.5 + 12;
+            const layout = { ...badge, text, x, y, width, height: 18 };
+            x += width + 4;
+            return layout;
+        });
+    }
+    
+    // `action` is 'nested' to fold the node's nested types, 'subtypes' for its whole subtree
+    toggleFold(node, action) {
+        const folds = action === 'nested' ? this.foldedNested : this.foldedSubtrees;
+        const id = this.getNodeId(node);
+        if (folds.has(id)) {
+            folds.delete(id);
+        } else {
+            folds.add(id);
         }
-        if (showInitializers && node.type.initializers?.length > 0) {
-            height += Math.min(node.type.initializers.length * 15, 80);
+        if (this.selectedNode && this.getNodeId(this.selectedNode) === id) {
+            this.showTypeDetails(this.selectedNode);
         }
-        return height;
+        this.debouncedRender();
     }
     
     addNodeContent(nodeSelection, showProperties, showMethods, showInitializers) {
@@ -497,42 +2348,452 @@ class SwiftDiagramVisualization {
             .attr('class', 'node-text node-details')
             .attr('x', d => this.getNodeWidth(d, showProperties, showMethods, showInitializers) / 2)
             .attr('y', 50)
-            .text(d => {
-                const propCount = d.type.properties?.length || 0;
-                const methodCount = d.type.methods?.length || 0;
-                const initCount = d.type.initializers?.length || 0;
-                return `${propCount}p, ${methodCount}m, ${initCount}i`;
+            .text(d => this.getNodeSummary(d));
+        
+        // Member compartments
+        nodeSelection.each((d, i, groups) => {
+            const group = d3.select(groups[i]);
+            const width = this.getNodeWidth(d, showProperties, showMethods, showInitializers);
+            const layout = this.getCompartmentLayout(d, showProperties, showMethods, showInitializers);
+            
+            layout.dividers.forEach(y => {
+                group.append('line')
+                    .attr('class', 'compartment-divider')
+                    .attr('x1', 0)
+                    .attr('x2', width)
+                    .attr('y1', y)
+                    .attr('y2', y);
+            });
+            
+            layout.rows.forEach(row => {
+                if (row.isToggle) {
+                    group.append('text')
+                        .attr('class', 'node-member-toggle')
+                        .attr('x', 8)
+                        .attr('y', row.y)
+                        .text(row.text)
+                        .on('click', event => {
+                            event.stopPropagation();
+                            this.toggleNodeExpanded(d);
+                        });
+                } else {
+                    group.append('text')
+                        .attr('class', `node-member${row.isStatic ? ' member-static' : ''}`)
+                        .attr('x', 8)
+                        .attr('y', row.y)
+                        .text(row.text)
+                        .append('title')
+                        .text(row.fullText);
+                }
+            });
+            
+            this.getFoldBadges(d).forEach(badge => {
+                const pill = group.append('g')
+                    .attr('class', `fold-badge${badge.folded ? ' folded' : ''}`)
+                    .attr('transform', `translate(${badge.x},${badge.y})`)
+                    .on('click', event => {
+                        event.stopPropagation();
+                        this.toggleFold(d, badge.action);
+                    });
+                pill.append('rect')
+                    .attr('width', badge.width)
+                    .attr('height', badge.height)
+                    .attr('rx', badge.height / 2);
+                pill.append('text')
+                    .attr('x', badge.width / 2)
+                    .attr('y', badge.height / 2)
+                    .text(badge.text);
             });
+        });
     }
     
     handleDragStart(event, d) {
-        if (!event.active) this.simulation.alphaTarget(0.3).restart();
         d.fx = d.x;
         d.fy = d.y;
+        if (!event.active) this.forceLayout.restart({ alphaTarget: 0.3 });
     }
     
     handleDrag(event, d) {
-        d.fx = event.x;
-        d.fy = event.y;
+        d.x = d.fx = event.x;
+        d.y = d.fy = event.y;
+        this.forceLayout.fix(d);
     }
     
+    // Dragged nodes stay pinned where they were dropped until double-clicked
     handleDragEnd(event, d) {
-        if (!event.active) this.simulation.alphaTarget(0);
-        d.fx = null;
-        d.fy = null;
+        d.fx = d.x;
+        d.fy = d.y;
+        if (!event.active) this.forceLayout.setAlphaTarget(0);
+        this.pinnedPositions.set(this.getNodeId(d), { x: d.x, y: d.y });
+        this.markPinnedNodes();
+        this.savePinnedPositions();
+    }
+    
+    unpinNode(d) {
+        if (!this.pinnedPositions.delete(this.getNodeId(d))) return;
+        
+        if (this.layoutMode === 'force') {
+            d.fx = null;
+            d.fy = null;
+            this.forceLayout.restart({ alpha: 0.3 });
+        }
+        this.markPinnedNodes();
+        this.savePinnedPositions();
+    }
+    
+    clearPinnedPositions() {
+        this.pinnedPositions.clear();
+        this.savePinnedPositions();
+        this.applyLayout(true);
+        this.markPinnedNodes();
+    }
+    
+    // Pins moved while a view's layout is applied only last until the view is left
+    savePinnedPositions() {
+        if (!this.viewLayoutActive) {
+            this.layoutStore.save(this.pinnedPositions);
+        }
+    }
+    
+    // Back to the layout stored for the analysis after a view's own positions
+    restoreStoredLayout() {
+        if (!this.viewLayoutActive) return;
+        this.viewLayoutActive = false;
+        this.pinnedPositions = this.layoutStore.load();
+    }
+    
+    markPinnedNodes() {
+        this.container.selectAll('.node')
+            .classed('pinned', d => this.pinnedPositions.has(this.getNodeId(d)));
+        this.canvasRenderer.requestDraw();
+    }
+    
+    // Pinned nodes are fixed at their saved position; types without a saved position
+    // start next to a pinned neighbour so the simulation places them around it.
+    applyPinnedPositions(nodes, links) {
+        if (this.pinnedPositions.size === 0) return;
+        
+        nodes.forEach(d => {
+            const pin = this.pinnedPositions.get(this.getNodeId(d));
+            if (pin) {
+                d.x = d.fx = pin.x;
+                d.y = d.fy = pin.y;
+            }
+        });
+        
+        links.forEach(({ source, target }) => {
+            [[source, target], [target, source]].forEach(([unplaced, anchor]) => {
+                if (unplaced.x === undefined && anchor.fx != null) {
+                    unplaced.x = anchor.fx + (Math.random() - 0.5) * 200;
+                    unplaced.y = anchor.fy + (Math.random() - 0.5) * 200;
+                }
+            });
+        });
+        
+        // Remaining new types start around the centre of the pinned ones
+        const pinned = nodes.filter(d => d.fx != null);
+        const centerX = d3.mean(pinned, d => d.fx);
+        const centerY = d3.mean(pinned, d => d.fy);
+        nodes.forEach(d => {
+            if (d.x === undefined && pinned.length > 0) {
+                d.x = centerX + (Math.random() - 0.5) * 400;
+                d.y = centerY + (Math.random() - 0.5) * 400;
+            }
+        });
+    }
+    
+    downloadLayout() {
+        const layout = LayoutStore.toJSON(this.sourceName, this.pinnedPositions);
+        const baseName = (this.sourceName || 'diagram').replace(/\.json$/, '');
+        this.downloadFile(`${baseName}.layout.json`, JSON.stringify(layout, null, 2), 'application/json');
+    }
+    
+    setupSavedViews() {
+        d3.select('#save-view').on('click', () => this.saveView(d3.select('#view-name').property('value')));
+        d3.select('#view-name').on('keydown', event => {
+            if (event.key === 'Enter') this.saveView(event.target.value);
+        });
+        d3.select('#export-views').on('click', () => this.exportViews());
+        d3.select('#import-views-button').on('click', () => d3.select('#import-views-input').node().click());
+        d3.select('#import-views-input').on('change', event => {
+            if (event.target.files.length > 0) {
+                this.importViews(event.target.files[0]);
+                event.target.value = '';
+            }
+        });
+        d3.select('#view-show-all').on('click', () => {
+            this.visibleTypes = null;
+            this.activeViewName = null;
+            this.restoreStoredLayout();
+            this.renderViewList();
+            this.debouncedRender();
+        });
+        
+        this.renderViewList();
+        this.loadServedViews();
+    }
+    
+    viewsFileName() {
+        return `${(this.sourceName || 'diagram').replace(/\.json$/, '')}.views.json`;
+    }
+    
+    // A `.views.json` committed next to a served analysis is picked up automatically;
+    // views saved in this browser win over ones with the same name
+    async loadServedViews() {
+        if (!this.files || this.files.length !== 1) return;
+        
+        try {
+            const response = await fetch(this.viewsFileName());
+            if (!response.ok) return;
+            const served = ViewStore.fromJSON(await response.json());
+            const known = new Set(this.savedViews.map(view => view.name));
+            this.savedViews = [...this.savedViews, ...served.filter(view => !known.has(view.name))];
+            this.renderViewList();
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${this.viewsFileName()}: ${error.message}`);
+        }
+    }
+    
+    saveView(name) {
+        const viewName = name.trim();
+        if (!viewName) {
+            window.dataLoader?.showError('Enter a name for the view.');
+            return;
+        }
+        
+        const visibleTypes = this.currentNodes.flatMap(node =>
+            node.isModuleSummary ? node.members.map(member => this.getNodeId(member)) : [this.getNodeId(node)]);
+        const positions = new Map(this.currentNodes
+            .filter(node => Number.isFinite(node.x) && Number.isFinite(node.y))
+            .map(node => [this.getNodeId(node), { x: node.x, y: node.y }]));
+        
+        const view = {
+            name: viewName,
+            state: { ...this.getUrlState(), file: null },
+            visibleTypes,
+            positions: LayoutStore.toJSON(this.sourceName, positions).positions
+        };
+        
+        this.savedViews = ViewStore.merge(this.savedViews, [view]);
+        this.viewStore.save(this.savedViews);
+        this.activeViewName = viewName;
+        d3.select('#view-name').property('value', '');
+        this.renderViewList();
+    }
+    
+    // Restores the view's visible types and positions, then its filters, selection and zoom.
+    // The positions replace the pins for as long as the view is applied; the stored layout is kept.
+    applyView(view) {
+        this.activeViewName = view.name;
+        this.visibleTypes = view.visibleTypes ? new Set(view.visibleTypes) : null;
+        this.pinnedPositions = LayoutStore.fromJSON({ positions: view.positions });
+        this.viewLayoutActive = true;
+        this.renderViewList();
+        this.applyUrlState(view.state);
+    }
+    
+    deleteView(name) {
+        this.savedViews = this.savedViews.filter(view => view.name !== name);
+        this.viewStore.save(this.savedViews);
+        if (this.activeViewName === name) {
+            this.activeViewName = null;
+            this.restoreStoredLayout();
+            this.markPinnedNodes();
+        }
+        this.renderViewList();
+    }
+    
+    exportViews() {
+        const views = ViewStore.toJSON(this.sourceName, this.savedViews);
+        this.downloadFile(this.viewsFileName(), JSON.stringify(views, null, 2), 'application/json');
+    }
+    
+    async importViews(file) {
+        try {
+            const views = ViewStore.fromJSON(JSON.parse(await file.text()));
+            this.savedViews = ViewStore.merge(this.savedViews, views);
+            this.viewStore.save(this.savedViews);
+            this.renderViewList();
+        } catch (error) {
+            window.dataLoader?.showError(`Error importing views: ${error.message}`);
+        }
+    }
+    
+    renderViewList() {
+        const items = d3.select('#view-list')
+            .selectAll('.view-item')
+            .data(this.savedViews, d => d.name)
+            .join(enter => {
+                const item = enter.append('div').attr('class', 'view-item');
+                item.append('span').attr('class', 'view-item-name');
+                item.append('button').attr('class', 'view-item-delete').attr('title', 'Delete view').text('✕');
+                return item;
+            })
+            .classed('active', d => d.name === this.activeViewName);
+        
+        items.select('.view-item-name')
+            .text(d => d.name)
+            .on('click', (event, d) => this.applyView(d));
+        items.select('.view-item-delete')
+            .on('click', (event, d) => this.deleteView(d.name));
+        
+        d3.select('#view-scope').classed('active', !!this.visibleTypes);
+        d3.select('#view-scope-text').text(this.visibleTypes
+            ? `Showing the ${this.visibleTypes.size} types of "${this.activeViewName}"`
+            : '');
+    }
+    
+    async importLayout(file) {
+        try {
+            this.pinnedPositions = LayoutStore.fromJSON(JSON.parse(await file.text()));
+            this.viewLayoutActive = false;
+            this.layoutStore.save(this.pinnedPositions);
+            this.debouncedRender();
+        } catch (error) {
+            window.dataLoader?.showError(`Error importing layout: ${error.message}`);
+        }
+    }
+    
+    // Mermaid or PlantUML text for exactly the nodes and edges currently rendered
+    showTextExport(format) {
+        const exporter = new UMLTextExporter(this.currentNodes, this.getVisibleLinks(), this.displayOptions, d => this.getNodeId(d));
+        const isMermaid = format === 'mermaid';
+        const text = isMermaid ? exporter.toMermaid() : exporter.toPlantUML();
+        const fileName = `${this.exporter.baseFileName()}.${isMermaid ? 'mmd' : 'puml'}`;
+        
+        d3.select('#text-export-title').text(isMermaid ? 'Mermaid classDiagram' : 'PlantUML');
+        d3.select('#text-export-output').property('value', text);
+        d3.select('#text-export-copy').text('📋 Copy');
+        d3.select('#text-export-download').on('click', () => this.downloadFile(fileName, text, 'text/plain'));
+        d3.select('#text-export-panel').classed('active', true);
+    }
+    
+    downloadFile(fileName, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = fileName;
+        document.body.appendChild(anchor);
+        anchor.click();
+        anchor.remove();
+        URL.revokeObjectURL(url);
     }
     
     selectNode(node) {
         this.selectedNode = node;
         d3.selectAll('.node').classed('selected', false);
-        d3.selectAll('.node').filter(d => d.type.name === node.type.name).classed('selected', true);
+        d3.selectAll('.node').filter(d => this.getNodeId(d) === this.getNodeId(node)).classed('selected', true);
+        this.canvasRenderer.requestDraw();
         this.showTypeDetails(node);
+        this.revealInTypeList(node);
+        this.syncUrl({ push: true });
+    }
+    
+    getUrlState() {
+        const members = [
+            ['p', '#show-properties'],
+            ['m', '#show-methods'],
+            ['i', '#show-initializers']
+        ].filter(([, selector]) => d3.select(selector).property('checked')).map(([flag]) => flag);
+        const transform = d3.zoomTransform(this.svg.node());
+        const isIdentity = transform.k === 1 && transform.x === 0 && transform.y === 0;
+        
+        return {
+            file: this.files,
+            node: this.selectedNode && !this.selectedNode.isModuleSummary ? this.getNodeId(this.selectedNode) : null,
+            members: members.length === 3 ? null : members,
+            private: d3.select('#show-private').property('checked'),
+            modules: d3.select('#group-by-module').property('checked'),
+            hidden: this.hiddenRelationshipKinds.size > 0 ? [...this.hiddenRelationshipKinds].sort() : null,
+            layout: this.layoutMode === 'force' ? null : this.layoutMode,
+            q: d3.select('#diagram-search-input').property('value').trim() || null,
+            filter: this.queryFilter ? this.queryFilter.text : null,
+            view: isIdentity ? null : { k: transform.k, x: transform.x, y: transform.y }
+        };
+    }
+    
+    syncUrl({ push = false } = {}) {
+        if (this.restoringUrlState) return;
+        UrlState.update(this.getUrlState(), { push });
+    }
+    
+    // Sets the controls from a parsed URL hash; selection, search highlight and zoom need
+    // the rendered diagram and are applied by finishUrlRestore after the next render
+    applyUrlState(state) {
+        this.restoringUrlState = state;
+        
+        const members = state.members || ['p', 'm', 'i'];
+        d3.select('#show-properties').property('checked', members.includes('p'));
+        d3.select('#show-methods').property('checked', members.includes('m'));
+        d3.select('#show-initializers').property('checked', members.includes('i'));
+        d3.select('#show-private').property('checked', !!state.private);
+        d3.select('#group-by-module').property('checked', !!state.modules);
+        
+        this.hiddenRelationshipKinds = new Set(state.hidden || []);
+        d3.select('#relationship-filter-list')
+            .selectAll('.relationship-filter-item input')
+            .property('checked', d => !this.hiddenRelationshipKinds.has(d.kind));
+        
+        this.layoutMode = state.layout || 'force';
+        d3.select('#layout-mode').property('value', this.layoutMode);
+        
+        d3.select('#diagram-search-input').property('value', state.q || '');
+        this.queryFilter = state.filter ? new TypeQuery(state.filter) : null;
+        d3.select('#query-filter-chip').classed('active', !!this.queryFilter);
+        d3.select('#query-filter-text').text(this.queryFilter ? this.queryFilter.text : '');
+        
+        this.debouncedRender();
+    }
+    
+    finishUrlRestore() {
+        const state = this.restoringUrlState;
+        
+        if (state.q) {
+            this.handleDiagramSearch(state.q, { showResults: false });
+        }
+        
+        const node = state.node ? this.nodesById.get(state.node) : null;
+        if (node) {
+            this.selectNode(node);
+        } else {
+            this.selectedNode = null;
+            d3.select('#type-details').html('');
+        }
+        
+        const view = state.view || { k: 1, x: 0, y: 0 };
+        this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(view.x, view.y).scale(view.k));
+        
+        this.restoringUrlState = null;
+        this.syncUrl();
+    }
+    
+    setupTypeList() {
+        d3.select('#type-list-mode')
+            .on('change', event => {
+                this.typeListMode = event.currentTarget.value;
+                this.updateTypeList(this.typeListNodes || []);
+                if (this.selectedNode) this.revealInTypeList(this.selectedNode);
+            })
+            .selectAll('option')
+            .data(TypeOutline.modes)
+            .join('option')
+            .attr('value', d => d.mode)
+            .text(d => d.label);
     }
     
     updateTypeList(nodes) {
+        this.typeListNodes = nodes;
         const typeList = d3.select('#type-list');
+        if (this.typeListMode !== 'list') {
+            typeList.selectAll('.type-item').remove();
+            this.renderTypeOutline(nodes);
+            return;
+        }
+        typeList.selectAll('.outline-tree').remove();
+        
         const items = typeList.selectAll('.type-item')
-            .data(nodes, d => d.type.name);
+            .data(nodes, d => this.getNodeId(d));
         
         const itemsEnter = items.enter()
             .append('div')
@@ -550,14 +2811,107 @@ class SwiftDiagramVisualization {
             .text(d => d.type.name);
         
         itemsUpdate.select('.type-item-kind')
-            .text(d => d.type.kind);
+            .text(d => d.type.moduleName ? `${d.type.kind} · ${d.type.moduleName}` : d.type.kind);
         
-        itemsUpdate.on('click', (event, d) => this.selectNode(d));
+        itemsUpdate.on('click', (event, d) => this.selectTypeListNode(d));
         
         items.exit().remove();
     }
     
+    // Rebuilt on every render; collapsed items stay collapsed by their path in the tree
+    renderTypeOutline(nodes) {
+        const ids = new Set(nodes.map(n => this.getNodeId(n)));
+        const edges = this.getGraphEdges().filter(edge => ids.has(edge.source) && ids.has(edge.target));
+        const outline = new TypeOutline(nodes, edges, n => this.getNodeId(n), n => this.getModuleName(n));
+        const mode = this.typeListMode;
+        const tree = d3.select('#type-list')
+            .selectAll('.outline-tree')
+            .data([null])
+            .join('div')
+            .attr('class', 'outline-tree')
+            .html('');
+        
+        const appendItems = (parent, items, path) => items.forEach(item => {
+            const key = `${path}/${item.key}`;
+            const collapsed = this.collapsedOutlineItems.has(key);
+            const hasChildren = item.children.length > 0;
+            const element = parent.append('div')
+                .attr('class', 'outline-item')
+                .attr('data-key', key)
+                .classed('collapsed', collapsed);
+            
+            const row = element.append('div')
+                .attr('class', 'outline-row')
+                .classed('outline-group', !item.node)
+                .classed('phantom', !!item.node?.type.isPhantom)
+                .classed('selected', !!item.node && item.node === this.selectedNode)
+                .attr('data-id', item.node ? this.getNodeId(item.node) : null)
+                .attr('title', item.label);
+            row.append('span')
+                .attr('class', 'outline-toggle')
+                .text(hasChildren ? (collapsed ? '▸' : '▾') : '')
+                .on('click', event => {
+                    event.stopPropagation();
+                    this.toggleOutlineItem(element.node());
+                });
+            row.append('span')
+                .attr('class', 'outline-name')
+                .text(item.label);
+            row.append('span')
+                .attr('class', 'outline-kind')
+                .text(item.node ? item.node.type.kind : item.children.length);
+            row.on('click', () => {
+                if (item.node) {
+                    this.selectTypeListNode(item.node);
+                } else {
+                    this.toggleOutlineItem(element.node());
+                }
+            });
+            
+            if (hasChildren) {
+                appendItems(element.append('div').attr('class', 'outline-children'), item.children, key);
+            }
+        });
+        appendItems(tree, outline.tree(mode), mode);
+    }
+    
+    toggleOutlineItem(element, collapsed = !element.classList.contains('collapsed')) {
+        const item = d3.select(element).classed('collapsed', collapsed);
+        item.select(':scope > .outline-row > .outline-toggle').text(collapsed ? '▸' : '▾');
+        if (collapsed) {
+            this.collapsedOutlineItems.add(element.dataset.key);
+        } else {
+            this.collapsedOutlineItems.delete(element.dataset.key);
+        }
+    }
+    
+    selectTypeListNode(node) {
+        this.selectNode(node);
+        this.focusOnNode(node);
+    }
+    
+    // Marks the node in the type list, expanding the outline down to its first occurrence
+    revealInTypeList(node) {
+        const id = this.getNodeId(node);
+        d3.selectAll('#type-list .type-item').classed('selected', d => this.getNodeId(d) === id);
+        const rows = d3.selectAll('#type-list .outline-row').classed('selected', (d, i, all) => all[i].dataset.id === id);
+        const target = rows.filter('.selected').node() || d3.select('#type-list .type-item.selected').node();
+        if (!target) return;
+        
+        for (let element = target.parentElement.closest('.outline-item'); element; element = element.parentElement.closest('.outline-item')) {
+            if (element !== target.parentElement && element.classList.contains('collapsed')) {
+                this.toggleOutlineItem(element, false);
+            }
+        }
+        target.scrollIntoView({ block: 'nearest' });
+    }
+    
     showTypeDetails(node) {
+        if (node.isModuleSummary) {
+            this.showModuleDetails(node);
+            return;
+        }
+        
         const details = d3.select('#type-details');
         details.html('');
         
@@ -571,6 +2925,52 @@ class SwiftDiagramVisualization {
         
         container.append('p').text(`Type: ${node.type.kind}`);
         
+        if (node.type.moduleName) {
+            container.append('p').text(`Module: ${node.type.moduleName}`);
+        }
+        
+        const impactControls = container.append('div').attr('class', 'impact-controls');
+        const depthInput = impactControls.append('label')
+            .text('Depth ')
+            .append('input')
+            .attr('type', 'number')
+            .attr('min', 1)
+            .attr('max', 20)
+            .property('value', this.impactDepth);
+        impactControls.append('button')
+            .attr('class', 'details-action')
+            .text('Show impact')
+            .on('click', () => this.showImpact(node, Math.max(1, Number(depthInput.property('value')) || 1)));
+        
+        if (this.typeTree.subtypes.has(this.getNodeId(node))) {
+            const noun = node.type.kind === 'protocol' ? 'conformers' : 'subclasses';
+            container.append('button')
+                .attr('class', 'details-action')
+                .text(`${this.foldedSubtrees.has(this.getNodeId(node)) ? 'Unfold' : 'Fold'} ${noun}`)
+                .on('click', () => this.toggleFold(node, 'subtypes'));
+        }
+        
+        if (node.diff) {
+            this.addDiffDetails(container, node);
+        }
+        
+        const metrics = this.metrics.forType(node);
+        if (metrics) {
+            container.append('h5').text('Metrics:');
+            const byAccess = TypeMetrics.accessLevels
+                .filter(level => metrics.membersByAccess[level] > 0)
+                .map(level => `${level} ${metrics.membersByAccess[level]}`)
+                .join(', ');
+            this.addMetricRows(container, [
+                ['Fan-in', metrics.fanIn],
+                ['Fan-out', metrics.fanOut],
+                ['Instability', TypeMetrics.format(metrics.instability)],
+                ['Inheritance depth', metrics.depthOfInheritance],
+                ['Conformers', metrics.conformers],
+                ['Members', byAccess ? `${metrics.memberCount} (${byAccess})` : '0']
+            ]);
+        }
+        
         if (node.type.conformedProtocols?.length > 0) {
             container.append('h5').text('Conforms to:');
             const list = container.append('ul');
@@ -610,4 +3010,85 @@ class SwiftDiagramVisualization {
             });
         }
     }
+    
+    showModuleDetails(summary) {
+        const moduleName = summary.type.name;
+        const details = d3.select('#type-details');
+        details.html('');
+        
+        const container = details.append('div').attr('class', 'type-details');
+        container.append('h4').text(moduleName);
+        container.append('p').text(`Module with ${summary.members.length} types`);
+        container.append('button')
+            .attr('class', 'details-action')
+            .text('Expand module')
+            .on('click', () => this.toggleModuleCollapse(moduleName));
+        
+        const metrics = this.metrics.forModule(moduleName);
+        if (metrics) {
+            container.append('h5').text('Metrics:');
+            this.addMetricRows(container, [
+                ['Afferent coupling (Ca)', metrics.afferent],
+                ['Efferent coupling (Ce)', metrics.efferent],
+                ['Instability', TypeMetrics.format(metrics.instability)],
+                ['Abstractness', TypeMetrics.format(metrics.abstractness)],
+                ['Distance from main sequence', TypeMetrics.format(metrics.distance)]
+            ]);
+        }
+        
+        // Count relationships crossing the module boundary in each direction
+        const outgoing = new Map();
+        const incoming = new Map();
+        this.data.nodes.forEach(node => {
+            const fromModule = this.getModuleName(node);
+            node.relationships.forEach(rel => {
+                const target = this.nodesById.get(this.getRelationshipTargetId(rel));
+                if (!target) return;
+                const toModule = this.getModuleName(target);
+                if (fromModule === toModule) return;
+                
+                if (fromModule === moduleName) outgoing.set(toModule, (outgoing.get(toModule) || 0) + 1);
+                if (toModule === moduleName) incoming.set(fromModule, (incoming.get(fromModule) || 0) + 1);
+            });
+        });
+        
+        [['Depends on:', outgoing], ['Used by:', incoming]].forEach(([title, counts]) => {
+            if (counts.size === 0) return;
+            container.append('h5').text(title);
+            const list = container.append('ul');
+            [...counts].sort((a, b) => b[1] - a[1]).forEach(([otherModule, count]) => {
+                list.append('li').text(`${otherModule} (${count} edges)`);
+            });
+        });
+        
+        container.append('h5').text('Types:');
+        const list = container.append('ul');
+        summary.members.forEach(member => {
+            list.append('li').text(`${member.type.name} (${member.type.kind})`);
+        });
+    }
+    
+    addDiffDetails(container, node) {
+        container.append('div')
+            .attr('class', `diff-status diff-${node.diff.status}`)
+            .text(node.diff.status);
+        
+        const relationshipChanges = node.relationships.filter(rel => rel.diffStatus && rel.diffStatus !== 'unchanged');
+        if (node.diff.changes.length === 0 && relationshipChanges.length === 0) return;
+        
+        container.append('h5').text('Changes:');
+        const list = container.append('ul').attr('class', 'diff-changes');
+        
+        node.diff.changes.forEach(change => {
+            list.append('li')
+                .attr('class', `diff-${change.change}`)
+                .text(`${change.category}: ${change.description}`);
+        });
+        
+        relationshipChanges.forEach(rel => {
+            list.append('li')
+                .attr('class', `diff-${rel.diffStatus}`)
+                .text(`Relationship: ${rel.kind} ${rel.to}`);
+        });
+    }
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+// Runs the diagram's d3 force simulation in steps and reports positions through `post`.
+// Loaded by the layout worker, and on the page as a fallback where workers are unavailable.
+// Nodes are { x, y, fx, fy, cx, cy, strength } and links { source, target } node indices.
+class ForceLayoutRunner {
+    // Milliseconds between streamed frames
+    static get frameInterval() {
+        return 16;
+    }
+
+    // Milliseconds of ticking between progress reports while precomputing
+    static get precomputeBudget() {
+        return 100;
+    }
+
+    static createSimulation(nodes, links) {
+        return d3.forceSimulation(nodes)
+            .force('link', d3.forceLink(links).distance(150).strength(0.1))
+            .force('charge', d3.forceManyBody().strength(-800))
+            .force('center', d3.forceCenter(400, 300))
+            .force('collision', d3.forceCollide().radius(80))
+            .force('x', d3.forceX(d => d.cx).strength(d => d.strength))
+            .force('y', d3.forceY(d => d.cy).strength(d => d.strength))
+            .stop();
+    }
+
+    constructor(post) {
+        this.post = post;
+        this.simulation = null;
+        this.nodes = [];
+        this.generation = 0;
+        this.precompute = false;
+        this.timer = null;
+    }
+
+    handle(message) {
+        switch (message.type) {
+            case 'start':
+                this.start(message);
+                break;
+            case 'restart':
+                this.restart(message);
+                break;
+            case 'fix': {
+                const node = this.nodes[message.index];
+                if (node) {
+                    node.fx = message.fx;
+                    node.fy = message.fy;
+                }
+                break;
+            }
+            case 'links':
+                this.simulation?.force('link').links(message.links);
+                break;
+            case 'stop':
+                this.finish();
+                break;
+        }
+    }
+
+    start({ generation, nodes, links, precompute, alpha }) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.generation = generation;
+        this.nodes = nodes;
+        this.precompute = precompute;
+        this.simulation = ForceLayoutRunner.createSimulation(nodes, links).alpha(alpha);
+        this.schedule(0);
+    }
+
+    // `positions` and `fixed` are [x0, y0, x1, y1, ...]; NaN in `fixed` releases a node
+    restart({ generation, positions, fixed, alpha, alphaTarget }) {
+        if (!this.simulation) return;
+
+        this.generation = generation;
+        this.precompute = false;
+        this.nodes.forEach((node, i) => {
+            node.x = positions[2 * i];
+            node.y = positions[2 * i + 1];
+            node.fx = Number.isNaN(fixed[2 * i]) ? null : fixed[2 * i];
+            node.fy = Number.isNaN(fixed[2 * i + 1]) ? null : fixed[2 * i + 1];
+            node.vx = 0;
+            node.vy = 0;
+        });
+        if (alpha !== undefined) this.simulation.alpha(alpha);
+        if (alphaTarget !== undefined) this.simulation.alphaTarget(alphaTarget);
+        this.schedule(0);
+    }
+
+    schedule(delay) {
+        if (this.timer === null) {
+            this.timer = setTimeout(() => this.step(), delay);
+        }
+    }
+
+    // Streaming ticks once per frame like d3's own timer; precomputing ticks for a while
+    // between reports. Either way messages such as 'stop' are handled between steps.
+    step() {
+        this.timer = null;
+        const started = performance.now();
+
+        if (this.precompute) {
+            do {
+                this.simulation.tick();
+            } while (!this.isSettled() && performance.now() - started < ForceLayoutRunner.precomputeBudget);
+        } else {
+            this.simulation.tick();
+        }
+
+        if (this.isSettled()) {
+            this.finish();
+            return;
+        }
+
+        if (this.precompute) {
+            this.post({ type: 'progress', generation: this.generation, progress: this.progress() });
+            this.schedule(0);
+        } else {
+            this.postPositions('tick');
+            this.schedule(Math.max(0, ForceLayoutRunner.frameInterval - (performance.now() - started)));
+        }
+    }
+
+    isSettled() {
+        return this.simulation.alphaTarget() === 0 && this.simulation.alpha() < this.simulation.alphaMin();
+    }
+
+    // Alpha decays geometrically from 1 to alphaMin; null while a drag keeps it up
+    progress() {
+        const simulation = this.simulation;
+        if (simulation.alphaTarget() > 0) return null;
+        return Math.min(1, Math.max(0, Math.log(simulation.alpha()) / Math.log(simulation.alphaMin())));
+    }
+
+    finish() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.simulation) return;
+
+        this.simulation.alpha(0).alphaTarget(0);
+        this.precompute = false;
+        this.postPositions('end');
+    }
+
+    postPositions(type) {
+        const positions = new Float64Array(this.nodes.length * 2);
+        this.nodes.forEach((node, i) => {
+            positions[2 * i] = node.x;
+            positions[2 * i + 1] = node.y;
+        });
+        this.post({ type, generation: this.generation, positions, progress: this.progress() }, [positions.buffer]);
+    }
+}
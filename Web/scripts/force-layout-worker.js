@@ -0,0 +1,5 @@
+// Web Worker running ForceLayoutRunner off the main thread
+importScripts('https://d3js.org/d3.v7.min.js', 'force-layout-runner.js');
+
+const runner = new ForceLayoutRunner((message, transfer) => self.postMessage(message, transfer));
+self.onmessage = event => runner.handle(event.data);
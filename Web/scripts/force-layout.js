@@ -0,0 +1,184 @@
+// Main-thread side of the force layout: sends the graph to a worker running
+// ForceLayoutRunner and writes the streamed positions back onto the node objects.
+// Falls back to running the same runner on the page when a worker cannot be started.
+class ForceLayout {
+    static get workerUrl() {
+        return 'scripts/force-layout-worker.js';
+    }
+
+    // `onPositions()` after nodes moved, `onProgress(progress)` with 0..1 or null
+    // while no settling run is in progress, `onEnd()` once the layout has settled or stopped
+    constructor({ onPositions, onProgress, onEnd }) {
+        this.onPositions = onPositions;
+        this.onProgress = onProgress;
+        this.onEnd = onEnd;
+        this.nodes = [];
+        this.indexByNode = new Map();
+        // Messages from runs that were restarted or stopped since are ignored
+        this.generation = 0;
+        // True until a precomputed layout has been delivered
+        this.pending = false;
+        this.running = false;
+        this.connect();
+    }
+
+    connect() {
+        try {
+            this.worker = new Worker(ForceLayout.workerUrl);
+            this.worker.onmessage = event => this.receive(event.data);
+            this.worker.onerror = event => {
+                console.warn(`Force layout worker failed, laying out on the page: ${event.message}`);
+                event.preventDefault();
+                this.useLocalRunner();
+            };
+        } catch (error) {
+            console.warn(`Force layout worker unavailable, laying out on the page: ${error.message}`);
+            this.useLocalRunner();
+        }
+    }
+
+    useLocalRunner() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.localRunner = new ForceLayoutRunner(message => this.receive(message));
+        // Replay the current graph so a run that was lost with the worker carries on
+        if (this.lastStart) {
+            this.send(this.lastStart);
+        }
+    }
+
+    send(message, transfer = []) {
+        if (this.worker) {
+            this.worker.postMessage(message, transfer);
+        } else {
+            this.localRunner.handle(message);
+        }
+    }
+
+    // Lays out `nodes` from their current positions; `getCenter(node)` gives the point
+    // and strength each node is pulled towards
+    start(nodes, links, { getCenter, precompute = false, alpha = 1 }) {
+        this.nodes = nodes;
+        this.indexByNode = new Map(nodes.map((node, index) => [node, index]));
+        this.generation++;
+        this.pending = precompute;
+        this.running = true;
+        this.placeNewNodes(nodes);
+
+        this.lastStart = {
+            type: 'start',
+            generation: this.generation,
+            precompute,
+            alpha,
+            nodes: nodes.map(node => {
+                const center = getCenter(node);
+                return {
+                    x: node.x,
+                    y: node.y,
+                    fx: node.fx ?? null,
+                    fy: node.fy ?? null,
+                    cx: center.x,
+                    cy: center.y,
+                    strength: center.strength
+                };
+            }),
+            links: this.encodeLinks(links)
+        };
+        this.send(this.lastStart);
+        this.onProgress(0);
+    }
+
+    // d3's phyllotaxis arrangement, done here so nodes can be drawn before the first tick
+    placeNewNodes(nodes) {
+        const initialAngle = Math.PI * (3 - Math.sqrt(5));
+        nodes.forEach((node, i) => {
+            if (node.x === undefined || Number.isNaN(node.x)) {
+                const radius = 10 * Math.sqrt(0.5 + i);
+                node.x = radius * Math.cos(i * initialAngle);
+                node.y = radius * Math.sin(i * initialAngle);
+            }
+        });
+    }
+
+    encodeLinks(links) {
+        return links
+            .filter(link => this.indexByNode.has(link.source) && this.indexByNode.has(link.target))
+            .map(link => ({ source: this.indexByNode.get(link.source), target: this.indexByNode.get(link.target) }));
+    }
+
+    setLinks(links) {
+        this.send({ type: 'links', links: this.encodeLinks(links) });
+    }
+
+    // Continues from the positions and pins on the page, e.g. after a drag or a fixed layout
+    restart({ alpha, alphaTarget } = {}) {
+        if (this.nodes.length === 0) return;
+
+        const positions = new Float64Array(this.nodes.length * 2);
+        const fixed = new Float64Array(this.nodes.length * 2);
+        this.nodes.forEach((node, i) => {
+            positions[2 * i] = node.x;
+            positions[2 * i + 1] = node.y;
+            fixed[2 * i] = node.fx ?? NaN;
+            fixed[2 * i + 1] = node.fy ?? NaN;
+        });
+
+        this.generation++;
+        this.pending = false;
+        this.running = true;
+        this.send({ type: 'restart', generation: this.generation, positions, fixed, alpha, alphaTarget },
+            [positions.buffer, fixed.buffer]);
+        if (!alphaTarget) this.onProgress(0);
+    }
+
+    fix(node) {
+        const index = this.indexByNode.get(node);
+        if (index === undefined) return;
+        this.send({ type: 'fix', index, fx: node.fx ?? null, fy: node.fy ?? null });
+    }
+
+    setAlphaTarget(alphaTarget) {
+        this.restart({ alphaTarget });
+    }
+
+    // Freezes nodes where they are. A precomputed layout is still delivered so the diagram appears.
+    stop() {
+        if (!this.running) return;
+
+        if (!this.pending) {
+            this.generation++;
+            this.finish();
+        }
+        this.send({ type: 'stop' });
+    }
+
+    finish() {
+        this.running = false;
+        this.pending = false;
+        this.onProgress(null);
+        this.onEnd();
+    }
+
+    receive(message) {
+        if (message.generation !== this.generation) return;
+
+        if (message.type === 'progress') {
+            this.onProgress(message.progress);
+            return;
+        }
+
+        const positions = message.positions;
+        this.nodes.forEach((node, i) => {
+            // Pins set on the page since the message was sent win, e.g. a node under the pointer
+            node.x = node.fx ?? positions[2 * i];
+            node.y = node.fy ?? positions[2 * i + 1];
+        });
+        this.onPositions();
+
+        if (message.type === 'end') {
+            this.finish();
+        } else {
+            this.onProgress(message.progress);
+        }
+    }
+}
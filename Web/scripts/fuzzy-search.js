@@ -0,0 +1,143 @@
+// Ranked fuzzy matching shared by the d3 diagram and the Cytoscape viewer.
+// Exact names rank first, then prefixes, camel-case initials (`VMC` -> `ViewModelCoordinator`),
+// substrings, scattered subsequences and finally hits on member names.
+class FuzzySearch {
+    static get tiers() {
+        return { exact: 1000, prefix: 800, initials: 600, substring: 400, subsequence: 200 };
+    }
+
+    // Returns { score, indices } where `indices` are the matched character positions, or null
+    static match(query, candidate) {
+        if (!query || !candidate) return null;
+
+        const q = query.toLowerCase();
+        const c = candidate.toLowerCase();
+        const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+        const tiers = FuzzySearch.tiers;
+
+        if (c === q) {
+            return { score: tiers.exact, indices: range(0, q.length) };
+        }
+        if (c.startsWith(q)) {
+            return { score: tiers.prefix - (c.length - q.length), indices: range(0, q.length) };
+        }
+
+        const initials = FuzzySearch.matchInitials(q, candidate);
+        if (initials) {
+            return { score: tiers.initials - (FuzzySearch.wordStarts(candidate).length - q.length), indices: initials };
+        }
+
+        const position = c.indexOf(q);
+        if (position >= 0) {
+            return { score: tiers.substring - position, indices: range(position, q.length) };
+        }
+
+        // Every query character in order; tighter runs score higher
+        const indices = [];
+        let from = 0;
+        for (const char of q) {
+            const index = c.indexOf(char, from);
+            if (index < 0) return null;
+            indices.push(index);
+            from = index + 1;
+        }
+        const gaps = indices[indices.length - 1] - indices[0] - (indices.length - 1);
+        return { score: Math.max(1, tiers.subsequence - gaps), indices };
+    }
+
+    // Positions where a word starts: the first character, capitals after lower case or
+    // digits, the last capital of an acronym run (`URLSession` -> U, S) and after `_`
+    static wordStarts(name) {
+        const starts = [];
+        for (let i = 0; i < name.length; i++) {
+            const char = name[i];
+            const previous = name[i - 1];
+            const next = name[i + 1];
+            const isUpper = char !== char.toLowerCase();
+            if (i === 0 ||
+                previous === '_' ||
+                (isUpper && previous === previous.toLowerCase()) ||
+                (isUpper && next && next !== next.toUpperCase() && previous !== previous.toLowerCase())) {
+                if (char !== '_') starts.push(i);
+            }
+        }
+        return starts;
+    }
+
+    // The query taken as the leading characters of words in order, e.g. `vmc` or `viewmc`
+    static matchInitials(q, name) {
+        if (q.length < 2) return null;
+
+        const starts = FuzzySearch.wordStarts(name);
+        const lower = name.toLowerCase();
+
+        const walk = (queryIndex, startIndex) => {
+            if (queryIndex === q.length) return [];
+            for (let s = startIndex; s < starts.length; s++) {
+                // Greedily take as many characters of this word as the query allows
+                const wordEnd = s + 1 < starts.length ? starts[s + 1] : name.length;
+                for (let length = Math.min(wordEnd - starts[s], q.length - queryIndex); length >= 1; length--) {
+                    if (lower.substr(starts[s], length) !== q.substr(queryIndex, length)) continue;
+                    const rest = walk(queryIndex + length, s + 1);
+                    if (rest) {
+                        return [...Array.from({ length }, (_, i) => starts[s] + i), ...rest];
+                    }
+                }
+            }
+            return null;
+        };
+
+        return walk(0, 0);
+    }
+
+    // Ranks `items` by their name, falling back to their best matching member.
+    // Each result is { item, score, indices, member } where `member` is { name, indices } or null.
+    static search(query, items, { getName, getMembers = () => [], limit = Infinity } = {}) {
+        const trimmed = query.trim();
+        if (!trimmed) return [];
+
+        const results = [];
+        items.forEach(item => {
+            const name = getName(item);
+            const nameMatch = FuzzySearch.match(trimmed, name);
+            if (nameMatch) {
+                results.push({ item, score: nameMatch.score, indices: nameMatch.indices, member: null });
+                return;
+            }
+
+            let best = null;
+            getMembers(item).forEach(memberName => {
+                const memberMatch = FuzzySearch.match(trimmed, memberName);
+                // Scattered subsequences inside member names are too noisy to report
+                if (memberMatch && memberMatch.score > FuzzySearch.tiers.subsequence && (!best || memberMatch.score > best.score)) {
+                    best = { name: memberName, ...memberMatch };
+                }
+            });
+            if (best) {
+                results.push({ item, score: best.score, indices: [], member: { name: best.name, indices: best.indices } });
+            }
+        });
+
+        // Member hits rank below every hit on the type name itself
+        results.sort((a, b) => (a.member ? 1 : 0) - (b.member ? 1 : 0) ||
+            b.score - a.score ||
+            getName(a.item).localeCompare(getName(b.item)));
+        return results.slice(0, limit);
+    }
+
+    // Splits `text` into [{ text, matched }] runs for rendering with <mark>
+    static segments(text, indices) {
+        const matched = new Set(indices);
+        const runs = [];
+        for (let i = 0; i < text.length; i++) {
+            const isMatched = matched.has(i);
+            const last = runs[runs.length - 1];
+            if (last && last.matched === isMatched) {
+                last.text += text[i];
+            } else {
+                runs.push({ text: text[i], matched: isMatched });
+            }
+        }
+        return runs;
+    }
+}
@@ -0,0 +1,181 @@
+// Graph algorithms shared by the d3 diagram and the Cytoscape viewer.
+// Edges are plain objects { source, target, kind, details } keyed by node id.
+class GraphAlgorithms {
+    // Map of node id -> outgoing edges; `allowedKinds` (a Set) limits which kinds are kept.
+    // With `undirected`, every edge can also be walked backwards.
+    static buildAdjacency(edges, { allowedKinds = null, undirected = false } = {}) {
+        const adjacency = new Map();
+        const add = (from, step) => {
+            if (!adjacency.has(from)) adjacency.set(from, []);
+            adjacency.get(from).push(step);
+        };
+
+        edges.forEach(edge => {
+            if (allowedKinds && allowedKinds.size > 0 && !allowedKinds.has(edge.kind)) return;
+            add(edge.source, { to: edge.target, edge, reversed: false });
+            if (undirected) {
+                add(edge.target, { to: edge.source, edge, reversed: true });
+            }
+        });
+
+        return adjacency;
+    }
+
+    // Breadth-first search; returns a list of steps { from, to, edge, reversed } or null
+    static shortestPath(adjacency, from, to) {
+        return this.findPaths(adjacency, from, to, 1)[0] || null;
+    }
+
+    // Up to `limit` simple paths in order of length. Expansion is capped so dense
+    // graphs cannot stall the page.
+    static findPaths(adjacency, from, to, limit = 1, { maxDepth = 12, maxExpansions = 200000 } = {}) {
+        if (from === to) return [];
+
+        const paths = [];
+        const queue = [{ node: from, steps: [], visited: new Set([from]) }];
+        let head = 0;
+        let expansions = 0;
+
+        // A single shortest path only needs each node once
+        const settled = limit === 1 ? new Set([from]) : null;
+
+        while (head < queue.length && paths.length < limit && expansions < maxExpansions) {
+            const { node, steps, visited } = queue[head];
+            // Dequeued entries are dropped so their step lists and visited sets can be collected
+            queue[head++] = null;
+            if (steps.length >= maxDepth) continue;
+
+            for (const step of adjacency.get(node) || []) {
+                expansions++;
+                if (visited.has(step.to) || (settled && settled.has(step.to))) continue;
+
+                const nextSteps = [...steps, { from: node, ...step }];
+                if (step.to === to) {
+                    paths.push(nextSteps);
+                    if (paths.length >= limit) break;
+                    continue;
+                }
+
+                if (settled) settled.add(step.to);
+                const nextVisited = new Set(visited);
+                nextVisited.add(step.to);
+                queue.push({ node: step.to, steps: nextSteps, visited: nextVisited });
+            }
+        }
+
+        return paths;
+    }
+
+    // Reverse-dependency blast radius: every node that reaches `start` through incoming
+    // edges within `maxDepth` hops. Returns a Map of node id -> { distance, edge } where
+    // `edge` is the first hop from that node towards `start`.
+    static impactOf(edges, start, { maxDepth = 3, allowedKinds = null } = {}) {
+        const incoming = new Map();
+        edges.forEach(edge => {
+            if (allowedKinds && allowedKinds.size > 0 && !allowedKinds.has(edge.kind)) return;
+            if (!incoming.has(edge.target)) incoming.set(edge.target, []);
+            incoming.get(edge.target).push(edge);
+        });
+
+        const affected = new Map();
+        let frontier = [start];
+
+        for (let distance = 1; distance <= maxDepth && frontier.length > 0; distance++) {
+            const next = [];
+            frontier.forEach(id => {
+                (incoming.get(id) || []).forEach(edge => {
+                    if (edge.source === start || affected.has(edge.source)) return;
+                    affected.set(edge.source, { distance, edge });
+                    next.push(edge.source);
+                });
+            });
+            frontier = next;
+        }
+
+        return affected;
+    }
+
+    // Strongly connected components of an adjacency map (Tarjan, iterative so deep graphs
+    // cannot overflow the stack). Every component comes after the components it has edges
+    // to, so dependencies come before their dependents. `index` is the discovery order.
+    static stronglyConnectedComponents(adjacency) {
+        const index = new Map();
+        const lowlink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let counter = 0;
+
+        const visit = id => {
+            index.set(id, counter);
+            lowlink.set(id, counter);
+            counter++;
+            stack.push(id);
+            onStack.add(id);
+        };
+
+        for (const root of adjacency.keys()) {
+            if (index.has(root)) continue;
+            visit(root);
+            const work = [{ node: root, next: 0 }];
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const steps = adjacency.get(frame.node) || [];
+
+                if (frame.next < steps.length) {
+                    const to = steps[frame.next++].to;
+                    if (!index.has(to)) {
+                        visit(to);
+                        work.push({ node: to, next: 0 });
+                    } else if (onStack.has(to)) {
+                        lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(to)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].node;
+                    lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+                }
+
+                if (lowlink.get(frame.node) === index.get(frame.node)) {
+                    const members = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        members.push(member);
+                    } while (member !== frame.node);
+                    components.push(members);
+                }
+            }
+        }
+
+        return { components, index };
+    }
+
+    // Strongly connected components that contain a cycle, largest first. Each entry holds
+    // the member ids, the edges between members, and the closing edges: those pointing back
+    // to an earlier-discovered member, whose removal would break every loop in the component.
+    static findCycles(edges, { allowedKinds = null } = {}) {
+        const adjacency = this.buildAdjacency(edges, { allowedKinds });
+        const { components, index } = this.stronglyConnectedComponents(adjacency);
+
+        return components
+            .map(members => {
+                const memberSet = new Set(members);
+                const internalEdges = [...memberSet].flatMap(id => (adjacency.get(id) || [])
+                    .filter(step => memberSet.has(step.to))
+                    .map(step => step.edge));
+                return {
+                    members: members.sort(),
+                    edges: internalEdges,
+                    closingEdges: internalEdges.filter(edge => index.get(edge.target) <= index.get(edge.source))
+                };
+            })
+            .filter(cycle => cycle.members.length > 1 || cycle.edges.length > 0)
+            .sort((a, b) => b.members.length - a.members.length || a.members[0].localeCompare(b.members[0]));
+    }
+}
@@ -0,0 +1,165 @@
+// Layered and radial layouts for inheritance and protocol hierarchies
+class HierarchyLayout {
+    static get hierarchyKinds() {
+        return new Set(['inherits', 'extends', 'conforms']);
+    }
+
+    // Returns a Map of node id -> { x, y } (top-left corner, matching node translation).
+    // `mode` is 'layered-tb', 'layered-lr' or 'radial'; `sizeOf(node)` gives { width, height }.
+    static compute(nodes, links, mode, getId, sizeOf) {
+        const layers = this.assignLayers(nodes, links, getId);
+        this.orderLayers(layers, links, getId);
+
+        if (mode === 'radial') {
+            return this.radialPositions(layers, getId, sizeOf);
+        }
+        return this.layeredPositions(layers, mode === 'layered-lr', getId, sizeOf);
+    }
+
+    static endpointId(end, getId) {
+        return typeof end === 'object' ? getId(end) : end;
+    }
+
+    // Supertypes go in lower layers than their subtypes; types outside any hierarchy
+    // are collected in a final layer so they do not crowd the roots.
+    static assignLayers(nodes, links, getId) {
+        const nodeIds = new Set(nodes.map(getId));
+        const supertypes = new Map(nodes.map(node => [getId(node), []]));
+        const inHierarchy = new Set();
+
+        links.forEach(link => {
+            if (!this.hierarchyKinds.has(link.kind)) return;
+            const sub = this.endpointId(link.source, getId);
+            const sup = this.endpointId(link.target, getId);
+            if (sub === sup || !nodeIds.has(sub) || !nodeIds.has(sup)) return;
+
+            supertypes.get(sub).push(sup);
+            inHierarchy.add(sub);
+            inHierarchy.add(sup);
+        });
+
+        const layerOf = new Map();
+        const visiting = new Set();
+        const depth = id => {
+            if (layerOf.has(id)) return layerOf.get(id);
+            if (visiting.has(id)) return 0; // Break cycles
+            visiting.add(id);
+            const parents = supertypes.get(id);
+            const layer = parents.length === 0 ? 0 : 1 + Math.max(...parents.map(depth));
+            visiting.delete(id);
+            layerOf.set(id, layer);
+            return layer;
+        };
+
+        const layers = [];
+        const unrelated = [];
+        nodes.forEach(node => {
+            const id = getId(node);
+            if (!inHierarchy.has(id)) {
+                unrelated.push(node);
+                return;
+            }
+            const layer = depth(id);
+            if (!layers[layer]) layers[layer] = [];
+            layers[layer].push(node);
+        });
+
+        const result = layers.filter(Boolean);
+        if (unrelated.length > 0) {
+            result.push(unrelated);
+        }
+        return result;
+    }
+
+    // Barycenter ordering: a few down and up sweeps reduce edge crossings between layers
+    static orderLayers(layers, links, getId) {
+        const neighbors = new Map();
+        const addNeighbor = (a, b) => {
+            if (!neighbors.has(a)) neighbors.set(a, []);
+            neighbors.get(a).push(b);
+        };
+        links.forEach(link => {
+            if (!this.hierarchyKinds.has(link.kind)) return;
+            const sub = this.endpointId(link.source, getId);
+            const sup = this.endpointId(link.target, getId);
+            addNeighbor(sub, sup);
+            addNeighbor(sup, sub);
+        });
+
+        layers.forEach(layer => layer.sort((a, b) => a.type.name.localeCompare(b.type.name)));
+
+        const sortByNeighbors = (layer, reference) => {
+            const positions = new Map(reference.map((node, index) => [getId(node), index]));
+            const barycenter = new Map(layer.map((node, index) => {
+                const indices = (neighbors.get(getId(node)) || [])
+                    .filter(id => positions.has(id))
+                    .map(id => positions.get(id));
+                return [node, indices.length > 0 ? d3.mean(indices) : index];
+            }));
+            layer.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+        };
+
+        for (let sweep = 0; sweep < 4; sweep++) {
+            for (let i = 1; i < layers.length; i++) sortByNeighbors(layers[i], layers[i - 1]);
+            for (let i = layers.length - 2; i >= 0; i--) sortByNeighbors(layers[i], layers[i + 1]);
+        }
+    }
+
+    static layeredPositions(layers, horizontal, getId, sizeOf) {
+        const positions = new Map();
+        const nodeGap = 40;
+        const layerGap = 100;
+        const maxPerRow = 12;
+        let layerOffset = 0;
+
+        // Very wide layers wrap into several rows so the layout stays on screen
+        const rows = layers.flatMap(layer => d3.range(0, layer.length, maxPerRow).map(i => layer.slice(i, i + maxPerRow)));
+
+        rows.forEach(row => {
+            const sizes = row.map(sizeOf);
+            const along = sizes.map(size => horizontal ? size.height : size.width);
+            const across = d3.max(sizes, size => horizontal ? size.width : size.height);
+            const total = d3.sum(along) + nodeGap * (row.length - 1);
+            let offset = -total / 2;
+
+            row.forEach((node, index) => {
+                const main = (horizontal ? 300 : 400) + offset;
+                const cross = 100 + layerOffset;
+                positions.set(getId(node), horizontal ? { x: cross, y: main } : { x: main, y: cross });
+                offset += along[index] + nodeGap;
+            });
+
+            layerOffset += across + layerGap;
+        });
+
+        return positions;
+    }
+
+    static radialPositions(layers, getId, sizeOf) {
+        const positions = new Map();
+        const ringGap = 260;
+        if (layers.length === 0) return positions;
+        const rootsAtCenter = layers[0].length === 1;
+        let previousRadius = 0;
+
+        layers.forEach((layer, layerIndex) => {
+            // Keep neighbouring nodes on a ring from overlapping
+            const circumference = d3.sum(layer, node => sizeOf(node).width + 30);
+            const radius = rootsAtCenter && layerIndex === 0
+                ? 0
+                : Math.max(previousRadius + ringGap, circumference / (2 * Math.PI));
+            previousRadius = radius;
+
+            layer.forEach((node, index) => {
+                const angle = (2 * Math.PI * (index + 0.5)) / layer.length - Math.PI / 2;
+                const size = sizeOf(node);
+                positions.set(getId(node), {
+                    x: 400 + radius * Math.cos(angle) - size.width / 2,
+                    y: 300 + radius * Math.sin(angle) - size.height / 2
+                });
+            });
+        });
+
+        return positions;
+    }
+}
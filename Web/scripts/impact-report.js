@@ -0,0 +1,40 @@
+// CSV and Markdown reports for an impact analysis
+class ImpactReport {
+    // `rows` are { id, name, kind, module, distance, via } sorted as they should appear
+    static toCSV(rows) {
+        const escape = value => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['Type', 'Kind', 'Module', 'Distance', 'Via'];
+        const lines = rows.map(row => [row.name, row.kind, row.module, row.distance, row.via].map(escape).join(','));
+        return [header.join(','), ...lines].join('\n') + '\n';
+    }
+
+    static toMarkdown(targetName, maxDepth, rows) {
+        const lines = [
+            `# Impact of changing \`${targetName}\``,
+            '',
+            `${rows.length} affected types within ${maxDepth} hops.`
+        ];
+
+        this.groupByModule(rows).forEach(([moduleName, moduleRows]) => {
+            lines.push('', `## ${moduleName} (${moduleRows.length})`, '', '| Type | Kind | Distance | Via |', '| --- | --- | --- | --- |');
+            moduleRows.forEach(row => {
+                lines.push(`| \`${row.name}\` | ${row.kind} | ${row.distance} | ${row.via} |`);
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Modules with the most affected types first
+    static groupByModule(rows) {
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!groups.has(row.module)) groups.set(row.module, []);
+            groups.get(row.module).push(row);
+        });
+        return [...groups].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+    }
+}
@@ -0,0 +1,52 @@
+// Persistence of manually pinned node positions
+class LayoutStore {
+    constructor(layoutKey) {
+        this.layoutKey = layoutKey || null;
+        this.storageKey = layoutKey ? `diagram-layout:${layoutKey}` : null;
+    }
+
+    // Returns a Map of node id -> { x, y }
+    load() {
+        if (!this.storageKey) return new Map();
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? LayoutStore.fromJSON(JSON.parse(saved)) : new Map();
+        } catch (error) {
+            console.warn(`Ignoring unreadable saved layout: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    save(positions) {
+        if (!this.storageKey) return;
+
+        if (positions.size === 0) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, JSON.stringify(LayoutStore.toJSON(this.layoutKey, positions)));
+        }
+    }
+
+    static toJSON(layoutKey, positions) {
+        const result = { version: 1, file: layoutKey, positions: {} };
+        positions.forEach((position, id) => {
+            result.positions[id] = { x: Math.round(position.x), y: Math.round(position.y) };
+        });
+        return result;
+    }
+
+    static fromJSON(json) {
+        if (!json || typeof json.positions !== 'object') {
+            throw new Error('Invalid layout format: Expected object with "positions"');
+        }
+
+        const positions = new Map();
+        Object.entries(json.positions).forEach(([id, position]) => {
+            if (Number.isFinite(position?.x) && Number.isFinite(position?.y)) {
+                positions.set(id, { x: position.x, y: position.y });
+            }
+        });
+        return positions;
+    }
+}
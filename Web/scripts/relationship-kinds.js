@@ -0,0 +1,41 @@
+// Display styles for every RelationshipGraph.Relationship.Kind emitted by the analyzer
+class RelationshipKinds {
+    static get all() {
+        return [
+            { kind: 'inherits', label: 'Inherits', color: '#3498db', dash: null },
+            { kind: 'conforms', label: 'Conforms', color: '#9b59b6', dash: '5,5' },
+            { kind: 'extends', label: 'Extends (protocol)', color: '#8e44ad', dash: null },
+            { kind: 'implements', label: 'Implements', color: '#2980b9', dash: '5,5' },
+            { kind: 'contains', label: 'Contains', color: '#e74c3c', dash: null },
+            { kind: 'references', label: 'References', color: '#e67e22', dash: null },
+            { kind: 'uses', label: 'Uses', color: '#95a5a6', dash: '3,3' },
+            { kind: 'injected', label: 'Injected', color: '#27ae60', dash: '2,4' },
+            { kind: 'fulfills', label: 'Fulfills', color: '#f39c12', dash: null },
+            { kind: 'generic_param', label: 'Generic parameter', color: '#c0392b', dash: null },
+            { kind: 'generic_constraint', label: 'Generic constraint', color: '#c0392b', dash: '5,5' },
+            { kind: 'wrapped_by', label: 'Wrapped by', color: '#d35400', dash: null },
+            { kind: 'element_type', label: 'Element type', color: '#16a085', dash: null },
+            { kind: 'associated_type', label: 'Associated type', color: '#7d3c98', dash: '5,5' },
+            { kind: 'constrained_by', label: 'Constrained by', color: '#7d3c98', dash: '2,4' },
+            { kind: 'requires_method', label: 'Requires method', color: '#a0522d', dash: null },
+            { kind: 'requires_property', label: 'Requires property', color: '#a0522d', dash: '5,5' },
+            { kind: 'resolves_type', label: 'Resolves type', color: '#d4ac0d', dash: '5,5' }
+        ];
+    }
+
+    // Aggregated edges between collapsed modules are not a Swift relationship kind
+    static get moduleStyle() {
+        return { kind: 'module', label: 'Module dependency', color: '#64748b', dash: null };
+    }
+
+    // Links from a nested type to the type it is declared in
+    static get nestingStyle() {
+        return { kind: 'nested', label: 'Nested in', color: '#7f8c8d', dash: '2,3' };
+    }
+
+    static style(kind) {
+        if (kind === 'module') return this.moduleStyle;
+        if (kind === 'nested') return this.nestingStyle;
+        return this.all.find(style => style.kind === kind) || { kind, label: kind, color: '#95a5a6', dash: null };
+    }
+}
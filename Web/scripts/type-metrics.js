@@ -0,0 +1,161 @@
+// Coupling and design metrics for every type and module of an analysis
+class TypeMetrics {
+    static get typeColumns() {
+        return [
+            { key: 'name', label: 'Type' },
+            { key: 'module', label: 'Module' },
+            { key: 'fanIn', label: 'Fan-in', numeric: true },
+            { key: 'fanOut', label: 'Fan-out', numeric: true },
+            { key: 'instability', label: 'Instability', numeric: true },
+            { key: 'depthOfInheritance', label: 'Inheritance depth', numeric: true },
+            { key: 'conformers', label: 'Conformers', numeric: true },
+            { key: 'memberCount', label: 'Members', numeric: true }
+        ];
+    }
+
+    static get moduleColumns() {
+        return [
+            { key: 'name', label: 'Module' },
+            { key: 'typeCount', label: 'Types', numeric: true },
+            { key: 'afferent', label: 'Ca', numeric: true },
+            { key: 'efferent', label: 'Ce', numeric: true },
+            { key: 'instability', label: 'Instability', numeric: true },
+            { key: 'abstractness', label: 'Abstractness', numeric: true },
+            { key: 'distance', label: 'Distance', numeric: true }
+        ];
+    }
+
+    static get accessLevels() {
+        return ['open', 'public', 'internal', 'fileprivate', 'private'];
+    }
+
+    // Supertype edges followed for the depth of inheritance
+    static get inheritanceKinds() {
+        return new Set(['inherits', 'extends']);
+    }
+
+    static get conformanceKinds() {
+        return new Set(['conforms', 'implements']);
+    }
+
+    static format(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    // `edges` are { source, target, kind } between node ids of `nodes`
+    constructor(nodes, edges, getId, getModuleName) {
+        this.getId = getId;
+        this.types = new Map();
+        this.modules = new Map();
+        this.maxima = new Map();
+
+        const outgoing = new Map();
+        const incoming = new Map();
+        const supertypes = new Map();
+        const conformers = new Map();
+        const add = (map, key, value) => {
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(value);
+        };
+
+        edges.forEach(edge => {
+            if (edge.source === edge.target) return;
+            add(outgoing, edge.source, edge.target);
+            add(incoming, edge.target, edge.source);
+            if (TypeMetrics.inheritanceKinds.has(edge.kind)) add(supertypes, edge.source, edge.target);
+            if (TypeMetrics.conformanceKinds.has(edge.kind)) add(conformers, edge.target, edge.source);
+        });
+
+        const depths = new Map();
+        const depthOf = (id, visiting = new Set()) => {
+            if (depths.has(id)) return depths.get(id);
+            if (visiting.has(id)) return 0;
+            visiting.add(id);
+            const parents = [...(supertypes.get(id) || [])];
+            const depth = parents.length > 0 ? 1 + Math.max(...parents.map(parent => depthOf(parent, visiting))) : 0;
+            visiting.delete(id);
+            depths.set(id, depth);
+            return depth;
+        };
+
+        nodes.forEach(node => {
+            const id = getId(node);
+            const fanIn = incoming.get(id)?.size || 0;
+            const fanOut = outgoing.get(id)?.size || 0;
+            const membersByAccess = Object.fromEntries(TypeMetrics.accessLevels.map(level => [level, 0]));
+            [...(node.type.properties || []), ...(node.type.methods || []), ...(node.type.initializers || [])]
+                .forEach(member => {
+                    const level = member.accessLevel in membersByAccess ? member.accessLevel : 'internal';
+                    membersByAccess[level]++;
+                });
+
+            this.types.set(id, {
+                id,
+                name: node.type.name,
+                kind: node.type.kind,
+                module: getModuleName(node),
+                fanIn,
+                fanOut,
+                instability: fanIn + fanOut > 0 ? fanOut / (fanIn + fanOut) : 0,
+                depthOfInheritance: depthOf(id),
+                conformers: conformers.get(id)?.size || 0,
+                membersByAccess,
+                memberCount: Object.values(membersByAccess).reduce((sum, count) => sum + count, 0)
+            });
+        });
+
+        this.computeModules(outgoing, incoming);
+    }
+
+    // Ca counts outside types depending on the module, Ce the module's types depending on
+    // outside ones; abstractness is the share of protocols, distance is |A + I - 1|
+    computeModules(outgoing, incoming) {
+        const byModule = d3.group([...this.types.values()], metrics => metrics.module);
+
+        byModule.forEach((members, name) => {
+            const memberIds = new Set(members.map(metrics => metrics.id));
+            const dependents = new Set();
+            let efferent = 0;
+
+            members.forEach(metrics => {
+                (incoming.get(metrics.id) || []).forEach(source => {
+                    if (!memberIds.has(source)) dependents.add(source);
+                });
+                if ([...(outgoing.get(metrics.id) || [])].some(target => !memberIds.has(target))) {
+                    efferent++;
+                }
+            });
+
+            const afferent = dependents.size;
+            const instability = afferent + efferent > 0 ? efferent / (afferent + efferent) : 0;
+            const abstractness = members.filter(metrics => metrics.kind === 'protocol').length / members.length;
+
+            this.modules.set(name, {
+                id: name,
+                name,
+                typeCount: members.length,
+                afferent,
+                efferent,
+                instability,
+                abstractness,
+                distance: Math.abs(abstractness + instability - 1)
+            });
+        });
+    }
+
+    forType(node) {
+        return this.types.get(this.getId(node)) || null;
+    }
+
+    forModule(name) {
+        return this.modules.get(name) || null;
+    }
+
+    // Cached because node sizing asks for it on every tick
+    max(key) {
+        if (!this.maxima.has(key)) {
+            this.maxima.set(key, d3.max([...this.types.values()], metrics => metrics[key]) || 0);
+        }
+        return this.maxima.get(key);
+    }
+}
@@ -0,0 +1,118 @@
+// Outline trees for the sidebar: the class hierarchy, protocol refinements with their
+// conformers, and types grouped by module or by source file. Items are
+// { key, label, node, children }; groups have no node.
+class TypeOutline {
+    static get modes() {
+        return [
+            { mode: 'list', label: 'Flat list' },
+            { mode: 'inheritance', label: 'Inheritance' },
+            { mode: 'protocols', label: 'Protocols' },
+            { mode: 'module', label: 'By module' },
+            { mode: 'file', label: 'By file' }
+        ];
+    }
+
+    // `edges` are { source, target, kind } between node ids of `nodes`
+    constructor(nodes, edges, getId, getModuleName) {
+        this.nodes = nodes;
+        this.getId = getId;
+        this.getModuleName = getModuleName;
+        this.nodesById = new Map(nodes.map(node => [getId(node), node]));
+
+        const isProtocol = id => this.nodesById.get(id)?.type.kind === 'protocol';
+        this.subclasses = new Map();
+        this.refinements = new Map();
+        this.conformers = new Map();
+        const add = (map, key, value) => {
+            if (!map.has(key)) map.set(key, []);
+            if (!map.get(key).includes(value)) map.get(key).push(value);
+        };
+
+        edges.forEach(edge => {
+            if (edge.source === edge.target || !this.nodesById.has(edge.source) || !this.nodesById.has(edge.target)) return;
+            if (!isProtocol(edge.target)) {
+                if (edge.kind === 'inherits' && !isProtocol(edge.source)) add(this.subclasses, edge.target, edge.source);
+            } else if (TypeTree.subtypeKinds.has(edge.kind)) {
+                add(isProtocol(edge.source) ? this.refinements : this.conformers, edge.target, edge.source);
+            }
+        });
+    }
+
+    // `mode` is one of `modes` other than the flat list
+    tree(mode) {
+        switch (mode) {
+            case 'inheritance':
+                return this.inheritanceTree();
+            case 'protocols':
+                return this.protocolTree();
+            case 'module':
+                return this.groupBy(node => this.getModuleName(node));
+            default:
+                return this.fileTree();
+        }
+    }
+
+    item(id, children = []) {
+        const node = this.nodesById.get(id);
+        return { key: id, label: node.type.name, node, children };
+    }
+
+    group(label, children) {
+        return { key: `group:${label}`, label, node: null, children };
+    }
+
+    byLabel(items) {
+        return items.sort((a, b) => d3.ascending(a.label, b.label));
+    }
+
+    // Expands `id` through the child maps; `ancestors` stops cycles in malformed input
+    expand(id, childMaps, ancestors = new Set()) {
+        const path = new Set(ancestors).add(id);
+        const children = childMaps.flatMap(([children, expand]) => this.byLabel((children.get(id) || [])
+            .filter(childId => !path.has(childId))
+            .map(childId => expand ? this.expand(childId, childMaps, path) : this.item(childId))));
+        return this.item(id, children);
+    }
+
+    // Rooted at classes without a superclass in the analysis, which includes phantom
+    // framework classes such as UIViewController; types outside any hierarchy come last
+    inheritanceTree() {
+        const subclassIds = new Set([...this.subclasses.values()].flat());
+        const roots = [...this.subclasses.keys()].filter(id => !subclassIds.has(id));
+        const others = this.nodes
+            .map(node => this.getId(node))
+            .filter(id => !subclassIds.has(id) && !this.subclasses.has(id));
+        const items = this.byLabel(roots.map(id => this.expand(id, [[this.subclasses, true]])));
+        return others.length > 0
+            ? [...items, this.group('Other types', this.byLabel(others.map(id => this.item(id))))]
+            : items;
+    }
+
+    // Rooted at protocols that refine no other protocol; each protocol lists the protocols
+    // extending it, then its conformers
+    protocolTree() {
+        const protocolIds = this.nodes.map(node => this.getId(node)).filter(id => this.nodesById.get(id).type.kind === 'protocol');
+        const refiningIds = new Set([...this.refinements.values()].flat());
+        return this.byLabel(protocolIds
+            .filter(id => !refiningIds.has(id))
+            .map(id => this.expand(id, [[this.refinements, true], [this.conformers, false]])));
+    }
+
+    groupBy(keyOf) {
+        const groups = d3.group(this.nodes, keyOf);
+        return this.byLabel([...groups].map(([label, nodes]) => this.group(label,
+            this.byLabel(nodes.map(node => this.item(this.getId(node)))))));
+    }
+
+    // Files are labelled relative to the directory all of them share
+    fileTree() {
+        const files = this.nodes.map(node => node.type.location?.file).filter(Boolean);
+        let prefix = files.length > 0 ? files[0].slice(0, files[0].lastIndexOf('/') + 1) : '';
+        files.forEach(file => {
+            while (prefix && !file.startsWith(prefix)) {
+                prefix = prefix.slice(0, prefix.lastIndexOf('/', prefix.length - 2) + 1);
+            }
+        });
+        return this.groupBy(node => node.type.location?.file ? node.type.location.file.slice(prefix.length) : '(no file)');
+    }
+}
@@ -0,0 +1,208 @@
+// Structured search over TypeInfo, e.g.
+//   kind:protocol access:public conforms:Codable has:method:fetch* module:Networking -phantom
+// Terms are ANDed; a leading `-` negates a term and `*` and `?` are wildcards. `search` ranks
+// words without a field with FuzzySearch on type and member names; negated words and `matches`
+// use substring matches on type, property and method names.
+class TypeQuery {
+    static get fields() {
+        return ['name', 'kind', 'access', 'module', 'file', 'conforms', 'inherits', 'has', 'attr', 'generic', 'is'];
+    }
+
+    static get memberKinds() {
+        return ['method', 'property', 'init', 'nested', 'generic'];
+    }
+
+    constructor(text) {
+        this.text = text.trim();
+        this.terms = [];
+        this.errors = [];
+        this.parse();
+    }
+
+    // True when the query uses any `field:value` term rather than only free text
+    get isStructured() {
+        return this.terms.some(term => term.field !== 'text');
+    }
+
+    get isEmpty() {
+        return this.terms.length === 0;
+    }
+
+    // Positive free-text words, which `search` ranks with FuzzySearch
+    get freeTextTerms() {
+        return this.terms
+            .filter(term => term.field === 'text' && !term.negated)
+            .map(term => term.value);
+    }
+
+    tokenize() {
+        const tokens = [];
+        const pattern = /(-?)(?:([a-z_]+):)?("([^"]*)"|\S+)?/gi;
+        let match;
+
+        while ((match = pattern.exec(this.text)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const value = match[4] !== undefined ? match[4] : (match[3] || '');
+            tokens.push({ negated: match[1] === '-', field: match[2]?.toLowerCase() || null, value });
+        }
+        return tokens;
+    }
+
+    parse() {
+        this.tokenize().forEach(({ negated, field, value }) => {
+            if (!field) {
+                if (!value) return;
+                // `phantom` on its own is shorthand for `is:phantom`
+                if (value.toLowerCase() === 'phantom') {
+                    this.terms.push({ field: 'is', value: 'phantom', negated });
+                } else {
+                    this.terms.push({ field: 'text', value: value.toLowerCase(), negated });
+                }
+                return;
+            }
+
+            if (!TypeQuery.fields.includes(field) && !TypeQuery.relationshipKinds.has(field)) {
+                this.errors.push(`Unknown filter "${field}:"`);
+                return;
+            }
+            if (field === 'has') {
+                const [memberKind, memberPattern] = value.split(/:(.*)/s);
+                if (!TypeQuery.memberKinds.includes(memberKind.toLowerCase())) {
+                    this.errors.push(`"has:" expects one of ${TypeQuery.memberKinds.join(', ')}`);
+                    return;
+                }
+                this.terms.push({
+                    field,
+                    memberKind: memberKind.toLowerCase(),
+                    pattern: memberPattern ? TypeQuery.glob(memberPattern) : null,
+                    negated
+                });
+                return;
+            }
+            if (!value) {
+                this.errors.push(`"${field}:" needs a value`);
+                return;
+            }
+            this.terms.push({ field, value, pattern: TypeQuery.glob(value), negated });
+        });
+    }
+
+    // Wildcards `*` and `?`; without them the whole value must match, ignoring case
+    static glob(value) {
+        const source = value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    static get relationshipKinds() {
+        return new Set(RelationshipKinds.all.map(style => style.kind));
+    }
+
+    matches(node) {
+        return this.terms.every(term => this.matchesTerm(node, term) !== term.negated);
+    }
+
+    // Every term except the positive free-text words
+    matchesFilters(node) {
+        return this.terms
+            .filter(term => term.field !== 'text' || term.negated)
+            .every(term => this.matchesTerm(node, term) !== term.negated);
+    }
+
+    // The nodes passing the field terms and fuzzy-matching every free-text word, as FuzzySearch
+    // results best first. Each word is matched on its own and the scores add up.
+    search(nodes) {
+        const candidates = nodes.filter(node => this.matchesFilters(node));
+        const words = this.freeTextTerms;
+        if (words.length === 0) {
+            return candidates
+                .map(node => ({ item: node, score: 0, indices: [], member: null }))
+                .sort((a, b) => a.item.type.name.localeCompare(b.item.type.name));
+        }
+
+        const options = {
+            getName: node => node.type.name,
+            getMembers: node => [
+                ...(node.type.properties || []).map(prop => prop.name),
+                ...(node.type.methods || []).map(method => method.name)
+            ]
+        };
+        let hits = null;
+        words.forEach(word => {
+            const wordHits = FuzzySearch.search(word, hits ? [...hits.keys()] : candidates, options);
+            hits = new Map(wordHits.map(hit => {
+                const previous = hits?.get(hit.item);
+                return [hit.item, previous ? {
+                    item: hit.item,
+                    score: previous.score + hit.score,
+                    indices: [...new Set([...previous.indices, ...hit.indices])].sort((a, b) => a - b),
+                    member: previous.member || hit.member
+                } : hit];
+            }));
+        });
+
+        // Same order as FuzzySearch: hits on the type name before hits on members only
+        return [...hits.values()].sort((a, b) => (a.member ? 1 : 0) - (b.member ? 1 : 0) ||
+            b.score - a.score ||
+            a.item.type.name.localeCompare(b.item.type.name));
+    }
+
+    matchesTerm(node, term) {
+        const type = node.type;
+        const any = (values, pattern) => values.some(value => value && pattern.test(value));
+        const relationshipTargets = kinds => (node.relationships || [])
+            .filter(rel => kinds.includes(rel.kind))
+            .map(rel => rel.to);
+
+        switch (term.field) {
+            case 'text':
+                return type.name.toLowerCase().includes(term.value) ||
+                    type.kind.toLowerCase().includes(term.value) ||
+                    (type.properties || []).some(prop => prop.name.toLowerCase().includes(term.value)) ||
+                    (type.methods || []).some(method => method.name.toLowerCase().includes(term.value));
+            case 'name':
+                return term.pattern.test(type.name);
+            case 'kind':
+                return term.pattern.test(type.kind);
+            case 'access':
+                return term.pattern.test(type.accessLevel);
+            case 'module':
+                return term.pattern.test(type.moduleName || '');
+            case 'file':
+                return term.pattern.test(type.location?.file || '') ||
+                    term.pattern.test((type.location?.file || '').split('/').pop());
+            case 'conforms':
+                return any([...(type.conformedProtocols || []), ...relationshipTargets(['conforms', 'implements'])], term.pattern);
+            case 'inherits':
+                return any([...(type.inheritedTypes || []), ...relationshipTargets(['inherits', 'extends'])], term.pattern);
+            case 'attr':
+                return any((type.attributes || []).map(attribute => (attribute.name || attribute).replace(/^@/, '')),
+                    TypeQuery.glob(term.value.replace(/^@/, '')));
+            case 'generic':
+                return any((type.genericParameters || []).flatMap(param => [param.name, param.inheritedType]), term.pattern);
+            case 'is':
+                return term.value.toLowerCase() === 'phantom' ? !!type.isPhantom : term.pattern.test(type.kind);
+            case 'has':
+                return this.matchesMember(type, term);
+            default:
+                // Relationship predicates such as `uses:APIClient`
+                return any(relationshipTargets([term.field]), term.pattern);
+        }
+    }
+
+    matchesMember(type, term) {
+        const members = {
+            'method': (type.methods || []).map(method => method.name),
+            'property': (type.properties || []).map(prop => prop.name),
+            'init': (type.initializers || []).map(() => 'init'),
+            'nested': (type.nestedTypes || []).map(nested => nested.name),
+            'generic': (type.genericParameters || []).map(param => param.name)
+        }[term.memberKind];
+
+        return term.pattern
+            ? members.some(name => term.pattern.test(name || ''))
+            : members.length > 0;
+    }
+}
@@ -0,0 +1,113 @@
+// Nesting and subtype trees of an analysis, and folding them out of the diagram.
+// A type's nesting parent comes from the parent's `nestedTypes` or from a qualified name
+// such as `Foo.Configuration`; subtypes are the sources of supertype edges.
+class TypeTree {
+    static get subtypeKinds() {
+        return new Set([...TypeMetrics.inheritanceKinds, ...TypeMetrics.conformanceKinds]);
+    }
+
+    // `edges` are { source, target, kind } between node ids of `nodes`
+    constructor(nodes, edges, getId) {
+        this.getId = getId;
+        this.nestingParents = TypeTree.findNestingParents(nodes, getId);
+        this.nestedTypes = new Map();
+        this.subtypes = new Map();
+        const add = (map, key, value) => {
+            if (!map.has(key)) map.set(key, []);
+            if (!map.get(key).includes(value)) map.get(key).push(value);
+        };
+
+        this.nestingParents.forEach((parentId, childId) => add(this.nestedTypes, parentId, childId));
+        edges.forEach(edge => {
+            if (edge.source !== edge.target && TypeTree.subtypeKinds.has(edge.kind)) {
+                add(this.subtypes, edge.target, edge.source);
+            }
+        });
+    }
+
+    // Map of nested type id to parent id. Names can repeat across files and modules, so a
+    // nested type is looked up in the parent's file first, then in its module.
+    static findNestingParents(nodes, getId) {
+        const byName = d3.group(nodes, node => node.type.name);
+        const lookup = (name, near) => {
+            const candidates = byName.get(name) || [];
+            return candidates.find(node => node.type.location?.file && node.type.location.file === near.type.location?.file) ||
+                candidates.find(node => node.type.moduleName === near.type.moduleName) ||
+                candidates[0];
+        };
+        const parents = new Map();
+
+        nodes.forEach(node => {
+            (node.type.nestedTypes || []).forEach(nested => {
+                const child = lookup(nested.name, node);
+                if (child && child !== node) parents.set(getId(child), getId(node));
+            });
+        });
+
+        nodes.forEach(node => {
+            const name = node.type.name;
+            const dot = name.lastIndexOf('.');
+            if (dot <= 0 || parents.has(getId(node))) return;
+            const parent = lookup(name.slice(0, dot), node);
+            if (parent && parent !== node) parents.set(getId(node), getId(parent));
+        });
+
+        return parents;
+    }
+
+    // Ids below `rootId` following the given child maps, not including the root
+    descendants(rootId, childMaps) {
+        const found = new Set();
+        const queue = [rootId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            childMaps.forEach(children => (children.get(id) || []).forEach(childId => {
+                if (childId !== rootId && !found.has(childId)) {
+                    found.add(childId);
+                    queue.push(childId);
+                }
+            }));
+        }
+        return found;
+    }
+
+    // Leaves out the nested types of ids in `foldedNested`, and the subtypes of ids in
+    // `foldedSubtrees` with their nested types. Returns the remaining nodes and the badges
+    // for their roots as { action: 'nested' | 'subtypes', folded, count }, counting only
+    // types in `nodes`.
+    fold(nodes, foldedNested, foldedSubtrees) {
+        const ids = new Set(nodes.map(node => this.getId(node)));
+        const hidden = new Set();
+        const badges = new Map();
+        const addBadge = (id, badge) => {
+            if (!badges.has(id)) badges.set(id, []);
+            badges.get(id).push(badge);
+        };
+
+        foldedSubtrees.forEach(rootId => {
+            if (!ids.has(rootId)) return;
+            const subtypes = this.descendants(rootId, [this.subtypes]);
+            subtypes.forEach(id => {
+                hidden.add(id);
+                this.descendants(id, [this.nestedTypes]).forEach(nestedId => hidden.add(nestedId));
+            });
+            const count = [...subtypes].filter(id => ids.has(id)).length;
+            if (count > 0) addBadge(rootId, { action: 'subtypes', folded: true, count });
+        });
+
+        foldedNested.forEach(parentId => {
+            if (!ids.has(parentId)) return;
+            this.descendants(parentId, [this.nestedTypes]).forEach(id => hidden.add(id));
+        });
+
+        this.nestedTypes.forEach((children, parentId) => {
+            const count = children.filter(id => ids.has(id)).length;
+            if (count > 0) addBadge(parentId, { action: 'nested', folded: foldedNested.has(parentId), count });
+        });
+
+        return {
+            nodes: nodes.filter(node => !hidden.has(this.getId(node))),
+            badges: new Map([...badges].filter(([id]) => ids.has(id) && !hidden.has(id)))
+        };
+    }
+}
@@ -0,0 +1,163 @@
+// Mermaid and PlantUML class diagram text for the nodes and edges currently shown
+class UMLTextExporter {
+    static visibilityMarker(accessLevel) {
+        const markers = {
+            'open': '+',
+            'public': '+',
+            'internal': '~',
+            'fileprivate': '#',
+            'private': '-'
+        };
+        return markers[accessLevel] || '~';
+    }
+
+    // Arrow per relationship kind, written as `source ARROW target`. Supertype arrows are
+    // reversed so the diagram reads "Supertype <|-- Subtype" like hand-written UML.
+    static arrowFor(kind) {
+        const arrows = {
+            'inherits': { arrow: '<|--', reversed: true },
+            'extends': { arrow: '<|--', reversed: true },
+            'conforms': { arrow: '<|..', reversed: true },
+            'implements': { arrow: '<|..', reversed: true },
+            'contains': { arrow: '*--' },
+            'references': { arrow: 'o--' },
+            'uses': { arrow: '..>' },
+            'injected': { arrow: '..>' },
+            'generic_constraint': { arrow: '..>' },
+            'associated_type': { arrow: '..>' },
+            'constrained_by': { arrow: '..>' },
+            'requires_method': { arrow: '..>' },
+            'requires_property': { arrow: '..>' }
+        };
+        return arrows[kind] || { arrow: '-->' };
+    }
+
+    // Relationships whose arrow already says what they are do not need a label
+    static get unlabeledKinds() {
+        return new Set(['inherits', 'extends', 'conforms', 'implements', 'contains', 'references']);
+    }
+
+    // `options` holds showProperties, showMethods and showInitializers
+    constructor(nodes, links, options, getId) {
+        this.nodes = nodes;
+        this.links = links;
+        this.options = options;
+        this.getId = getId;
+        // Ids that sanitize to the same identifier, e.g. `Foo.Bar` and `Foo_Bar`, get a numeric suffix
+        const used = new Set();
+        this.identifiers = new Map(nodes.map(node => {
+            const base = UMLTextExporter.identifier(getId(node));
+            let identifier = base;
+            for (let suffix = 2; used.has(identifier); suffix++) {
+                identifier = `${base}_${suffix}`;
+            }
+            used.add(identifier);
+            return [getId(node), identifier];
+        }));
+    }
+
+    static identifier(id) {
+        return id.replace(/[^A-Za-z0-9_]/g, '_');
+    }
+
+    // Mermaid writes generics as `Array~String~` and ends a class body at any `}`, so angle
+    // brackets other than the `->` of closure types become `~` and braces are dropped
+    static mermaidText(text) {
+        return text.replace(/[{}]/g, '').replace(/<|(?<!-)>/g, '~');
+    }
+
+    endpointId(end) {
+        return typeof end === 'object' ? this.getId(end) : end;
+    }
+
+    members(node) {
+        const type = node.type;
+        const lines = [];
+        const params = parameters => (parameters || []).map(p => `${p.name}: ${p.typeName}`).join(', ');
+
+        if (this.options.showProperties) {
+            (type.properties || []).forEach(prop => {
+                lines.push({ text: `${UMLTextExporter.visibilityMarker(prop.accessLevel)}${prop.name} : ${prop.typeName}`, isStatic: prop.isStatic });
+            });
+        }
+        if (this.options.showInitializers) {
+            (type.initializers || []).forEach(init => {
+                lines.push({ text: `${UMLTextExporter.visibilityMarker(init.accessLevel)}init${init.isFailable ? '?' : ''}(${params(init.parameters)})`, isStatic: false });
+            });
+        }
+        if (this.options.showMethods) {
+            (type.methods || []).forEach(method => {
+                lines.push({
+                    text: `${UMLTextExporter.visibilityMarker(method.accessLevel)}${method.name}(${params(method.parameters)})`,
+                    returnType: method.returnType,
+                    isStatic: method.isStatic || method.isClass
+                });
+            });
+        }
+        return lines;
+    }
+
+    edges() {
+        return this.links.map(link => {
+            const source = this.identifiers.get(this.endpointId(link.source));
+            const target = this.identifiers.get(this.endpointId(link.target));
+            const { arrow, reversed } = UMLTextExporter.arrowFor(link.kind);
+            const label = link.count
+                ? `${link.count} edges`
+                : (UMLTextExporter.unlabeledKinds.has(link.kind) ? '' : link.kind);
+            const line = reversed ? `${target} ${arrow} ${source}` : `${source} ${arrow} ${target}`;
+            return label ? `${line} : ${label}` : line;
+        });
+    }
+
+    toMermaid() {
+        const lines = ['classDiagram'];
+
+        this.nodes.forEach(node => {
+            const id = this.identifiers.get(this.getId(node));
+            const label = id !== node.type.name ? `["${node.type.name}"]` : '';
+            lines.push(`    class ${id}${label} {`);
+            lines.push(`        <<${node.type.kind}>>`);
+            this.members(node).forEach(member => {
+                const returnType = member.returnType ? ` ${UMLTextExporter.mermaidText(member.returnType)}` : '';
+                lines.push(`        ${UMLTextExporter.mermaidText(member.text)}${returnType}${member.isStatic ? '$' : ''}`);
+            });
+            lines.push('    }');
+        });
+
+        this.edges().forEach(edge => lines.push(`    ${edge}`));
+        return lines.join('\n') + '\n';
+    }
+
+    toPlantUML() {
+        const lines = ['@startuml'];
+        const declarations = {
+            'protocol': 'interface',
+            'enum': 'enum'
+        };
+
+        this.nodes.forEach(node => {
+            const id = this.identifiers.get(this.getId(node));
+            const keyword = declarations[node.type.kind] || 'class';
+            const stereotype = keyword === 'class' && node.type.kind !== 'class' ? ` <<${node.type.kind}>>` : '';
+            const name = id !== node.type.name ? `"${node.type.name}" as ${id}` : id;
+            const members = this.members(node);
+
+            if (members.length === 0) {
+                lines.push(`${keyword} ${name}${stereotype}`);
+                return;
+            }
+
+            lines.push(`${keyword} ${name}${stereotype} {`);
+            members.forEach(member => {
+                const returnType = member.returnType ? ` : ${member.returnType}` : '';
+                lines.push(`  ${member.isStatic ? '{static} ' : ''}${member.text}${returnType}`);
+            });
+            lines.push('}');
+        });
+
+        lines.push(...this.edges());
+        lines.push('@enduml');
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,66 @@
+// Viewer state serialised in the URL hash, e.g.
+//   #file=app.json&node=SessionManager&members=p,i&hidden=uses&view=1.5,-200,40
+// Defaults are left out so links stay short; unknown keys are ignored.
+class UrlState {
+    static get listKeys() {
+        return ['file', 'members', 'hidden'];
+    }
+
+    // Checkbox settings, written as `1` when on and left out when off
+    static get flagKeys() {
+        return ['private', 'modules'];
+    }
+
+    static parse(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const state = {};
+
+        params.forEach((value, key) => {
+            if (UrlState.listKeys.includes(key)) {
+                state[key] = value ? value.split(',') : [];
+            } else if (key === 'view') {
+                const [k, x, y] = value.split(',').map(Number);
+                if ([k, x, y].every(Number.isFinite) && k > 0) state.view = { k, x, y };
+            } else if (UrlState.flagKeys.includes(key)) {
+                state[key] = value === '1';
+            } else {
+                state[key] = value;
+            }
+        });
+
+        return state;
+    }
+
+    static serialize(state) {
+        const params = new URLSearchParams();
+
+        Object.entries(state).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === false || value === '') return;
+
+            if (Array.isArray(value)) {
+                params.set(key, value.join(','));
+            } else if (key === 'view') {
+                params.set(key, [value.k.toFixed(3), Math.round(value.x), Math.round(value.y)].join(','));
+            } else {
+                params.set(key, value === true ? '1' : String(value));
+            }
+        });
+
+        const query = params.toString().replace(/%2C/g, ',');
+        return query ? `#${query}` : '';
+    }
+
+    // Pushes a history entry for discrete changes and replaces the current one for
+    // continuous ones like zooming or typing, so back/forward steps between meaningful states
+    static update(state, { push = false } = {}) {
+        const hash = UrlState.serialize(state);
+        if (hash === window.location.hash) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }
+}
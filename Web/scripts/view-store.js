@@ -0,0 +1,67 @@
+// Named views of an analysis: visible types, filter state, node positions and zoom.
+// Kept in localStorage per analysis file and shared as `<analysis>.views.json`.
+class ViewStore {
+    constructor(sourceKey) {
+        this.sourceKey = sourceKey || null;
+        this.storageKey = sourceKey ? `diagram-views:${sourceKey}` : null;
+    }
+
+    // Returns an array of { name, state, visibleTypes, positions }
+    load() {
+        if (!this.storageKey) return [];
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? ViewStore.fromJSON(JSON.parse(saved)) : [];
+        } catch (error) {
+            console.warn(`Ignoring unreadable saved views: ${error.message}`);
+            return [];
+        }
+    }
+
+    save(views) {
+        if (!this.storageKey) return;
+
+        if (views.length === 0) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, JSON.stringify(ViewStore.toJSON(this.sourceKey, views)));
+        }
+    }
+
+    // Views with the same name are replaced, new ones are appended
+    static merge(views, incoming) {
+        const result = [...views];
+        incoming.forEach(view => {
+            const index = result.findIndex(existing => existing.name === view.name);
+            if (index >= 0) {
+                result[index] = view;
+            } else {
+                result.push(view);
+            }
+        });
+        return result;
+    }
+
+    static toJSON(sourceKey, views) {
+        return { version: 1, file: sourceKey, views };
+    }
+
+    static fromJSON(json) {
+        if (!json || !Array.isArray(json.views)) {
+            throw new Error('Invalid views format: Expected object with "views" array');
+        }
+
+        return json.views.map(view => {
+            if (!view || typeof view.name !== 'string' || !view.name.trim()) {
+                throw new Error('Invalid views format: Each view needs a name');
+            }
+            return {
+                name: view.name,
+                state: view.state && typeof view.state === 'object' ? view.state : {},
+                visibleTypes: Array.isArray(view.visibleTypes) ? view.visibleTypes : null,
+                positions: view.positions && typeof view.positions === 'object' ? view.positions : {}
+            };
+        });
+    }
+}
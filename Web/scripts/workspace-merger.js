@@ -0,0 +1,85 @@
+// Merges several module analyses into one workspace graph
+class WorkspaceMerger {
+    static typeKey(type) {
+        return type.moduleName ? `${type.moduleName}.${type.name}` : type.name;
+    }
+
+    // `analyses` is a list of { fileName, data }. Every node in the result gets an
+    // `id` (moduleName + name) and every relationship a resolved `toId`.
+    static merge(analyses) {
+        const realNodes = new Map();
+        const phantomNodes = new Map();
+
+        analyses.forEach(({ fileName, data }) => {
+            data.nodes.forEach(node => {
+                const key = this.typeKey(node.type);
+                const target = node.type.isPhantom ? phantomNodes : realNodes;
+                const existing = target.get(key);
+
+                if (existing) {
+                    existing.relationships = this.mergeRelationships(existing.relationships, node.relationships || []);
+                } else {
+                    target.set(key, {
+                        ...node,
+                        id: key,
+                        sourceFile: fileName,
+                        relationships: (node.relationships || []).map(rel => ({ ...rel }))
+                    });
+                }
+            });
+        });
+
+        // A phantom is only a placeholder for a type another module defines
+        const realNames = new Set([...realNodes.values()].map(node => node.type.name));
+        phantomNodes.forEach((node, key) => {
+            if (realNames.has(node.type.name)) {
+                phantomNodes.delete(key);
+            }
+        });
+
+        const nodes = [...realNodes.values(), ...phantomNodes.values()];
+        this.resolveRelationships(nodes);
+
+        return {
+            nodes,
+            sourceFiles: analyses.map(analysis => analysis.fileName)
+        };
+    }
+
+    static mergeRelationships(existing, incoming) {
+        const keys = new Set(existing.map(rel => `${rel.kind}|${rel.to}`));
+        const merged = [...existing];
+
+        incoming.forEach(rel => {
+            const key = `${rel.kind}|${rel.to}`;
+            if (!keys.has(key)) {
+                keys.add(key);
+                merged.push({ ...rel });
+            }
+        });
+
+        return merged;
+    }
+
+    // Relationship targets are plain type names; prefer a real type in the source's
+    // module, then a real type in any module, then a phantom.
+    static resolveRelationships(nodes) {
+        const byName = new Map();
+        nodes.forEach(node => {
+            if (!byName.has(node.type.name)) byName.set(node.type.name, []);
+            byName.get(node.type.name).push(node);
+        });
+
+        nodes.forEach(node => {
+            node.relationships.forEach(rel => {
+                const candidates = byName.get(rel.to) || [];
+                const sameModule = candidates.find(c => !c.type.isPhantom && c.type.moduleName === node.type.moduleName);
+                const anyReal = candidates.find(c => !c.type.isPhantom);
+                const resolved = sameModule || anyReal || candidates[0];
+
+                rel.fromId = node.id;
+                rel.toId = resolved ? resolved.id : rel.to;
+            });
+        });
+    }
+}
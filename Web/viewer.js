@@ -34,11 +34,56 @@ resultsContainer.style.maxHeight = "200px";
 resultsContainer.style.overflowY = "auto";
 resultsContainer.style.width = "200px";
 
+// Path finder panel
+const pathPanel = document.createElement("div");
+pathPanel.id = "path-panel";
+Object.assign(pathPanel.style, {
+  position: "absolute",
+  top: "40px",
+  left: "0",
+  width: "220px",
+  padding: "8px",
+  backgroundColor: "#f9f9f9",
+  border: "1px solid #ccc",
+  zIndex: "1000",
+  fontFamily: "Arial, sans-serif",
+  fontSize: "13px",
+  boxSizing: "border-box",
+});
+pathPanel.innerHTML = `
+  <strong>Find path</strong>
+  <input id="path-from" list="path-node-ids" placeholder="From..." style="width:100%;margin-top:4px">
+  <input id="path-to" list="path-node-ids" placeholder="To..." style="width:100%;margin-top:4px">
+  <select id="path-kinds" multiple title="Relationship kinds to follow (none selected follows all)" style="width:100%;height:70px;margin-top:4px"></select>
+  <label>Paths <input id="path-count" type="number" value="1" min="1" max="20" style="width:40px"></label>
+  <label><input id="path-undirected" type="checkbox"> Ignore direction</label>
+  <div style="margin-top:4px"><button id="path-find">Find</button> <button id="path-clear">Clear</button></div>
+  <datalist id="path-node-ids"></datalist>
+  <hr>
+  <strong>Cycles</strong>
+  <div style="margin-top:4px" title="Follows the relationship kinds selected above">
+    <button id="cycle-find">Find cycles</button> <button id="cycle-clear">Clear</button>
+  </div>
+  <label><input id="cycle-only" type="checkbox"> Only show cycles</label>
+`;
+document.body.appendChild(pathPanel);
+
 // Data structures
 let cy;
 const nodeMap = new Map();
 const edgeMap = new Map();
 const visitedNodes = new Set();
+const moduleMap = new Map();
+const collapsedModules = new Set();
+const allEdges = [];
+let impactDepth = 3;
+
+// Deep link state: #file=...&node=...&q=...&view=zoom,panX,panY
+const defaultFile = "example_analysis.json";
+const initialUrlState = UrlState.parse(window.location.hash);
+const currentFile = initialUrlState.file?.[0] || defaultFile;
+let focusedNodeId = null;
+let restoringUrlState = false;
 
 // Wait for plugin registration before initializing
 function initializeGraph() {
@@ -48,7 +93,7 @@ function initializeGraph() {
     
     // Fetch and initialize graph data with cache-busting
     const cacheBuster = Date.now();
-    fetch(`example_analysis.json?v=${cacheBuster}`)
+    fetch(`${currentFile}?v=${cacheBuster}`)
       .then((res) => {
         console.log('Fetch response:', {
           status: res.status,
@@ -79,6 +124,9 @@ function initializeGraph() {
           const initial = expandNode(seedNodeId, 1);
           renderWithCytoscape(initial);
           setupSearch();
+          setupPathFinder();
+          setupCycleFinder();
+          setupUrlState();
         } catch (parseError) {
           console.error('JSON parse error:', parseError);
           console.error('Response was not valid JSON. Full response:', text);
@@ -101,12 +149,18 @@ initializeGraph();
 function preprocessGraph(data) {
   data.nodes.forEach((node) => {
     const id = node.type?.name || node.type?.kind || JSON.stringify(node.type);
+    const parent = node.type?.moduleName ? moduleNodeId(node.type.moduleName) : undefined;
+    if (parent) {
+      moduleMap.set(parent, { data: { id: parent, label: node.type.moduleName }, classes: "module" });
+    }
     nodeMap.set(id, {
-      data: { id, label: id, ...node.type, relationships: node.relationships || [] },
+      data: { id, label: id, ...node.type, parent, relationships: node.relationships || [] },
       relationships: node.relationships || [],
     });
 
     (node.relationships || []).forEach((rel) => {
+      allEdges.push({ source: rel.from, target: rel.to, kind: rel.kind, details: rel.details });
+
       const edgeId = `${rel.from}->${rel.to}`;
       edgeMap.set(edgeId, {
         data: {
@@ -120,6 +174,10 @@ function preprocessGraph(data) {
   });
 }
 
+function moduleNodeId(moduleName) {
+  return `module:${moduleName}`;
+}
+
 function expandNode(nodeId, depth = 1) {
   const nodes = [];
   const edges = [];
@@ -139,6 +197,13 @@ function expandNode(nodeId, depth = 1) {
       continue;
     }
 
+    // Compound parents must be added before (or with) their children
+    const parent = nodeData.data.parent;
+    if (parent && !discovered.has(parent) && !(cy && cy.getElementById(parent).nonempty())) {
+      discovered.add(parent);
+      nodes.unshift(moduleMap.get(parent));
+    }
+
     nodes.push({ data: nodeData.data });
 
     if (d > 0) {
@@ -196,6 +261,119 @@ function renderWithCytoscape(graph) {
           "curve-style": "bezier",
         },
       },
+      {
+        selector: "node.module",
+        style: {
+          "background-color": "#E8EEF7",
+          "background-opacity": 0.5,
+          "border-color": "#7A8CA5",
+          "border-style": "dashed",
+          "border-width": 2,
+          color: "#3C4A5E",
+          label: "data(label)",
+          "font-size": 16,
+          "font-weight": "bold",
+          "text-valign": "top",
+          "text-halign": "center",
+          shape: "roundrectangle",
+          padding: "20px",
+        },
+      },
+      {
+        selector: "node.module.collapsed",
+        style: {
+          "background-color": "#7A8CA5",
+          "background-opacity": 1,
+          "border-style": "solid",
+          color: "white",
+          "text-valign": "center",
+          "min-width": 120,
+          "min-height": 50,
+        },
+      },
+      {
+        selector: ".module-hidden",
+        style: {
+          display: "none",
+        },
+      },
+      {
+        selector: "edge.meta-edge",
+        style: {
+          width: "mapData(count, 1, 50, 2, 10)",
+          "line-color": "#7A8CA5",
+          "target-arrow-color": "#7A8CA5",
+          label: "data(label)",
+          "font-size": 12,
+          "text-background-color": "#fff",
+          "text-background-opacity": 1,
+        },
+      },
+      {
+        selector: ".path-faded",
+        style: {
+          opacity: 0.25,
+        },
+      },
+      {
+        selector: "node.path",
+        style: {
+          "border-color": "#F29900",
+          "border-width": 5,
+        },
+      },
+      {
+        selector: "edge.path",
+        style: {
+          width: 5,
+          "line-color": "#F29900",
+          "target-arrow-color": "#F29900",
+        },
+      },
+      {
+        selector: "node.cycle",
+        style: {
+          "border-color": "data(cycleColor)",
+          "border-width": 5,
+          "border-style": "double",
+        },
+      },
+      {
+        selector: "edge.cycle",
+        style: {
+          width: 3,
+          "line-color": "#8E24AA",
+          "target-arrow-color": "#8E24AA",
+        },
+      },
+      {
+        selector: "edge.cycle-closing",
+        style: {
+          "line-color": "#D93025",
+          "target-arrow-color": "#D93025",
+          "line-style": "dashed",
+        },
+      },
+      {
+        selector: ".cycle-hidden",
+        style: {
+          display: "none",
+        },
+      },
+      {
+        selector: "node.impact",
+        style: {
+          "background-color": "mapData(impactShade, 0, 1, #FDBB84, #B30000)",
+          "border-color": "#7F0000",
+        },
+      },
+      {
+        selector: "node.impact-root",
+        style: {
+          "border-color": "#F29900",
+          "border-width": 5,
+        },
+      },
       {
         selector: ".highlighted",
         style: {
@@ -228,67 +406,524 @@ function renderWithCytoscape(graph) {
   });
 
   cy.on("tap", "node", (evt) => {
+    if (evt.target.hasClass("module")) {
+      toggleModule(evt.target.id());
+      return;
+    }
+
     const nodeId = evt.target.id();
-    const more = expandNode(nodeId, 1);
-    cy.batch(() => {
-      cy.add([...more.nodes, ...more.edges]);
-      cy.layout({ name: "cola", animate: true, randomize: false }).run();
-    });
+    addAndLayout(expandNode(nodeId, 1));
     focusNode(nodeId);
   });
 
   cy.ready(() => cy.fit());
 }
 
+function addAndLayout(more) {
+  cy.batch(() => {
+    cy.add([...more.nodes, ...more.edges]);
+    refreshModuleSummaries();
+    cy.layout({ name: "cola", animate: true, randomize: false }).run();
+  });
+}
+
+function toggleModule(moduleId) {
+  if (collapsedModules.has(moduleId)) {
+    collapsedModules.delete(moduleId);
+  } else {
+    collapsedModules.add(moduleId);
+  }
+
+  cy.batch(() => {
+    refreshModuleSummaries();
+    cy.layout({ name: "cola", animate: true, randomize: false }).run();
+  });
+}
+
+// Hides the children of collapsed modules and replaces their edges with
+// one counted meta edge per pair of visible endpoints
+function refreshModuleSummaries() {
+  cy.remove("edge.meta-edge");
+  cy.elements().removeClass("module-hidden");
+  cy.nodes(".module").removeClass("collapsed");
+
+  collapsedModules.forEach((moduleId) => {
+    const moduleNode = cy.getElementById(moduleId);
+    if (moduleNode.empty()) return;
+    moduleNode.addClass("collapsed");
+    moduleNode.children().addClass("module-hidden");
+  });
+
+  const representative = (node) => {
+    const parent = node.parent();
+    return parent.nonempty() && collapsedModules.has(parent.id()) ? parent.id() : node.id();
+  };
+
+  const counts = new Map();
+  cy.edges().forEach((edge) => {
+    const source = representative(edge.source());
+    const target = representative(edge.target());
+    if (source === edge.source().id() && target === edge.target().id()) return;
+    if (source === target) return;
+
+    const key = `${source}=>${target}`;
+    counts.set(key, { source, target, count: (counts.get(key)?.count || 0) + 1 });
+  });
+
+  counts.forEach(({ source, target, count }, key) => {
+    cy.add({
+      group: "edges",
+      data: { id: `meta:${key}`, source, target, count, label: String(count) },
+      classes: "meta-edge",
+    });
+  });
+}
+
+function setupPathFinder() {
+  const ids = [...nodeMap.keys()].sort();
+  document.getElementById("path-node-ids").innerHTML = ids
+    .map((id) => `<option value="${id}"></option>`)
+    .join("");
+
+  const kinds = [...new Set(allEdges.map((edge) => edge.kind))].sort();
+  document.getElementById("path-kinds").innerHTML = kinds
+    .map((kind) => `<option value="${kind}">${kind}</option>`)
+    .join("");
+
+  document.getElementById("path-find").addEventListener("click", () => {
+    const from = document.getElementById("path-from").value.trim();
+    const to = document.getElementById("path-to").value.trim();
+    if (!nodeMap.has(from) || !nodeMap.has(to)) {
+      alert("Pick a source and a target node from the list.");
+      return;
+    }
+
+    const allowedKinds = new Set(
+      Array.from(document.getElementById("path-kinds").selectedOptions, (option) => option.value)
+    );
+    const undirected = document.getElementById("path-undirected").checked;
+    const limit = Math.max(1, Number(document.getElementById("path-count").value) || 1);
+
+    const adjacency = GraphAlgorithms.buildAdjacency(allEdges, { allowedKinds, undirected });
+    showPaths(from, to, GraphAlgorithms.findPaths(adjacency, from, to, limit));
+  });
+
+  document.getElementById("path-clear").addEventListener("click", () => {
+    cy.elements().removeClass("path path-faded");
+  });
+}
+
+const cycleColors = ["#8E24AA", "#00897B", "#F4511E", "#3949AB", "#C0CA33", "#6D4C41"];
+let cycles = [];
+
+function setupCycleFinder() {
+  document.getElementById("cycle-find").addEventListener("click", () => {
+    const allowedKinds = new Set(
+      Array.from(document.getElementById("path-kinds").selectedOptions, (option) => option.value)
+    );
+    cycles = GraphAlgorithms.findCycles(allEdges, { allowedKinds });
+    showCycles();
+  });
+
+  document.getElementById("cycle-clear").addEventListener("click", () => {
+    cycles = [];
+    cy.elements().removeClass("cycle cycle-closing cycle-hidden");
+  });
+
+  document.getElementById("cycle-only").addEventListener("change", applyCycleFilter);
+}
+
+function showCycles() {
+  revealNodes(cycles.flatMap((cycle) => cycle.members));
+
+  cy.elements().removeClass("cycle cycle-closing");
+  cycles.forEach((cycle, index) => {
+    cycle.members.forEach((id) => {
+      cy.getElementById(id).data("cycleColor", cycleColors[index % cycleColors.length]).addClass("cycle");
+    });
+    cycle.edges.forEach((edge) => cy.getElementById(`${edge.source}->${edge.target}`).addClass("cycle"));
+    cycle.closingEdges.forEach((edge) => cy.getElementById(`${edge.source}->${edge.target}`).addClass("cycle-closing"));
+  });
+
+  applyCycleFilter();
+  renderCyclePanel();
+}
+
+// With "Only show cycles" checked, hides every type outside a cycle (module boxes stay)
+function applyCycleFilter() {
+  const only = document.getElementById("cycle-only").checked && cycles.length > 0;
+  cy.elements().removeClass("cycle-hidden");
+  if (only) {
+    cy.nodes().not(".module").not(".cycle").addClass("cycle-hidden");
+  }
+}
+
+function renderCyclePanel() {
+  sidePanel.innerHTML = "";
+
+  const title = document.createElement("h2");
+  title.textContent = "Cycles";
+  sidePanel.appendChild(title);
+
+  if (cycles.length === 0) {
+    const p = document.createElement("p");
+    p.textContent = "No cycles found with the selected relationship kinds.";
+    sidePanel.appendChild(p);
+    return;
+  }
+
+  cycles.forEach((cycle, index) => {
+    const heading = document.createElement("h3");
+    heading.textContent = `Cycle ${index + 1} (${cycle.members.length} ${cycle.members.length === 1 ? "type" : "types"})`;
+    heading.style.color = cycleColors[index % cycleColors.length];
+    sidePanel.appendChild(heading);
+
+    const members = document.createElement("ul");
+    cycle.members.forEach((id) => {
+      const li = document.createElement("li");
+      li.textContent = id;
+      li.style.cursor = "pointer";
+      li.style.color = "#3367D6";
+      li.addEventListener("click", () => centerNodeInView(cy.getElementById(id)));
+      members.appendChild(li);
+    });
+    sidePanel.appendChild(members);
+
+    const closingTitle = document.createElement("p");
+    closingTitle.textContent = "Closing edges:";
+    sidePanel.appendChild(closingTitle);
+
+    const closing = document.createElement("ul");
+    cycle.closingEdges.forEach((edge) => {
+      const li = document.createElement("li");
+      li.textContent = `${edge.source} —${edge.kind}→ ${edge.target}`;
+      closing.appendChild(li);
+    });
+    sidePanel.appendChild(closing);
+  });
+}
+
+// Adds the given nodes (and every known edge between visible nodes) to the graph
+function revealNodes(ids) {
+  const nodes = new Map();
+  ids.forEach((id) => {
+    expandNode(id, 0).nodes.forEach((node) => nodes.set(node.data.id, node));
+  });
+
+  cy.batch(() => {
+    cy.add([...nodes.values()]);
+    const edges = [...edgeMap.values()].filter(
+      (edge) =>
+        cy.getElementById(edge.data.id).empty() &&
+        cy.getElementById(edge.data.source).nonempty() &&
+        cy.getElementById(edge.data.target).nonempty()
+    );
+    cy.add(edges);
+    refreshModuleSummaries();
+    cy.layout({ name: "cola", animate: true, randomize: false }).run();
+  });
+}
+
+function showPaths(from, to, paths) {
+  const pathNodes = new Set(paths.flatMap((path) => path.flatMap((step) => [step.from, step.to])));
+  const pathEdges = new Set(paths.flatMap((path) => path.map((step) => `${step.edge.source}->${step.edge.target}`)));
+
+  revealNodes([...pathNodes]);
+
+  cy.elements().removeClass("path path-faded highlighted");
+  if (paths.length > 0) {
+    cy.elements().addClass("path-faded");
+    cy.nodes().filter((n) => pathNodes.has(n.id())).removeClass("path-faded").addClass("path");
+    cy.edges()
+      .filter((e) => pathEdges.has(`${e.source().id()}->${e.target().id()}`))
+      .removeClass("path-faded")
+      .addClass("path");
+  }
+
+  renderPathPanel(from, to, paths);
+}
+
+function renderPathPanel(from, to, paths) {
+  sidePanel.innerHTML = "";
+
+  const title = document.createElement("h2");
+  title.textContent = `${from} → ${to}`;
+  sidePanel.appendChild(title);
+
+  if (paths.length === 0) {
+    const p = document.createElement("p");
+    p.textContent = "No path found with the selected relationship kinds.";
+    sidePanel.appendChild(p);
+    return;
+  }
+
+  paths.forEach((path, index) => {
+    const heading = document.createElement("h3");
+    heading.textContent = `Path ${index + 1} (${path.length} ${path.length === 1 ? "hop" : "hops"})`;
+    sidePanel.appendChild(heading);
+
+    const ol = document.createElement("ol");
+    path.forEach((step) => {
+      const li = document.createElement("li");
+      const arrow = step.reversed ? `←${step.edge.kind}—` : `—${step.edge.kind}→`;
+      li.textContent = `${step.from} ${arrow} ${step.to}`;
+      if (step.edge.details) {
+        const details = document.createElement("div");
+        details.textContent = step.edge.details;
+        details.style.color = "#777";
+        details.style.fontSize = "12px";
+        li.appendChild(details);
+      }
+      ol.appendChild(li);
+    });
+    sidePanel.appendChild(ol);
+  });
+}
+
+// Shades every node that reaches nodeId through incoming edges, darker when nearer
+function showImpact(nodeId, maxDepth) {
+  impactDepth = maxDepth;
+  const affected = GraphAlgorithms.impactOf(allEdges, nodeId, { maxDepth });
+
+  revealNodes([nodeId, ...affected.keys()]);
+
+  cy.elements().removeClass("impact impact-root path path-faded highlighted");
+  cy.elements().addClass("path-faded");
+  cy.getElementById(nodeId).removeClass("path-faded").addClass("impact-root");
+  affected.forEach(({ distance, edge }, id) => {
+    cy.getElementById(id)
+      .data("impactShade", maxDepth > 1 ? 1 - (distance - 1) / (maxDepth - 1) : 1)
+      .removeClass("path-faded")
+      .addClass("impact");
+    cy.getElementById(`${edge.source}->${edge.target}`).removeClass("path-faded");
+  });
+
+  const rows = [...affected]
+    .map(([id, { distance, edge }]) => {
+      const data = nodeMap.get(id)?.data || {};
+      return {
+        id,
+        name: id,
+        kind: data.kind || "",
+        module: data.moduleName || "(no module)",
+        distance,
+        via: `${edge.kind} ${edge.target}`,
+      };
+    })
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name));
+
+  renderImpactPanel(nodeId, maxDepth, rows);
+}
+
+function clearImpact() {
+  cy.elements().removeClass("impact impact-root path-faded");
+}
+
+function renderImpactPanel(nodeId, maxDepth, rows) {
+  sidePanel.innerHTML = "";
+
+  const title = document.createElement("h2");
+  title.textContent = `Impact of changing ${nodeId}`;
+  sidePanel.appendChild(title);
+
+  const summary = document.createElement("p");
+  summary.textContent = `${rows.length} affected ${rows.length === 1 ? "type" : "types"} within ${maxDepth} ${maxDepth === 1 ? "hop" : "hops"}`;
+  sidePanel.appendChild(summary);
+
+  const baseName = `impact-${nodeId.replace(/[^A-Za-z0-9_]/g, "_")}`;
+  [
+    ["Export CSV", () => downloadText(`${baseName}.csv`, ImpactReport.toCSV(rows), "text/csv")],
+    ["Export Markdown", () => downloadText(`${baseName}.md`, ImpactReport.toMarkdown(nodeId, maxDepth, rows), "text/markdown")],
+    ["Clear", () => {
+      clearImpact();
+      focusNode(nodeId);
+    }],
+  ].forEach(([label, action]) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.marginRight = "4px";
+    button.addEventListener("click", action);
+    sidePanel.appendChild(button);
+  });
+
+  ImpactReport.groupByModule(rows).forEach(([moduleName, moduleRows]) => {
+    const heading = document.createElement("h3");
+    heading.textContent = `${moduleName} (${moduleRows.length})`;
+    sidePanel.appendChild(heading);
+
+    const ul = document.createElement("ul");
+    moduleRows.forEach((row) => {
+      const li = document.createElement("li");
+      li.textContent = `${row.name} (distance ${row.distance})`;
+      li.style.cursor = "pointer";
+      li.style.color = "#3367D6";
+      li.addEventListener("click", () => centerNodeInView(cy.getElementById(row.id)));
+
+      const via = document.createElement("div");
+      via.textContent = `via ${row.via}`;
+      via.style.color = "#777";
+      via.style.fontSize = "12px";
+      li.appendChild(via);
+      ul.appendChild(li);
+    });
+    sidePanel.appendChild(ul);
+  });
+}
+
+function downloadText(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  URL.revokeObjectURL(url);
+}
+
 function setupSearch() {
+  let matches = [];
+  let activeIndex = -1;
+
+  const choose = (id) => {
+    // Add expanded nodes & edges then focus
+    addAndLayout(expandNode(id, 1));
+    focusNode(id, { adjustForPanel: true });
+    resultsContainer.innerHTML = ""; // Close results on choose
+    searchInput.value = id; // Update input value
+    matches = [];
+  };
+
+  const setActive = (index) => {
+    activeIndex = index;
+    [...resultsContainer.children].forEach((item, i) => {
+      item.style.backgroundColor = i === activeIndex ? "#E8F0FE" : "";
+    });
+    resultsContainer.children[activeIndex]?.scrollIntoView({ block: "nearest" });
+  };
+
   searchInput.addEventListener("input", () => {
-    const query = searchInput.value.toLowerCase();
     resultsContainer.innerHTML = "";
+    matches = FuzzySearch.search(searchInput.value, [...nodeMap.values()], {
+      getName: (node) => node.data.id,
+      getMembers: (node) => [
+        ...(node.data.properties || []).map((prop) => prop.name),
+        ...(node.data.methods || []).map((method) => method.name),
+      ],
+      limit: 50,
+    });
+    activeIndex = -1;
 
-    for (let [id] of nodeMap.entries()) {
-      if (id.toLowerCase().includes(query)) {
-        const item = document.createElement("div");
-        item.textContent = id;
-        item.style.cursor = "pointer";
-        item.style.padding = "4px 8px";
-        item.style.borderBottom = "1px solid #ddd";
-        item.addEventListener("click", () => {
-          // Add expanded nodes & edges then focus
-          const more = expandNode(id, 1);
-          cy.batch(() => {
-            cy.add([...more.nodes, ...more.edges]);
-            cy.layout({ name: "cola", animate: true, randomize: false }).run();
-          });
-          focusNode(id, { adjustForPanel: true });
-          resultsContainer.innerHTML = ""; // Close results on click
-          searchInput.value = id; // Update input value
-        });
-        resultsContainer.appendChild(item);
+    matches.forEach((match) => {
+      const id = match.item.data.id;
+      const item = document.createElement("div");
+      item.style.cursor = "pointer";
+      item.style.padding = "4px 8px";
+      item.style.borderBottom = "1px solid #ddd";
+      appendHighlighted(item, id, match.indices);
+      if (match.member) {
+        const member = document.createElement("div");
+        member.style.color = "#777";
+        member.style.fontSize = "12px";
+        member.appendChild(document.createTextNode("Member: "));
+        appendHighlighted(member, match.member.name, match.member.indices);
+        item.appendChild(member);
       }
-    }
+      item.addEventListener("click", () => choose(id));
+      resultsContainer.appendChild(item);
+    });
   });
 
   searchInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      const firstMatch = resultsContainer.querySelector("div");
-      if (firstMatch) {
-        const id = firstMatch.textContent;
-        const more = expandNode(id, 1);
-        cy.batch(() => {
-          cy.add([...more.nodes, ...more.edges]);
-          cy.layout({ name: "cola", animate: true, randomize: false }).run();
-        });
-        focusNode(id);
-        resultsContainer.innerHTML = "";
-      }
+    if (matches.length === 0) return;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((activeIndex + step + matches.length) % matches.length);
+    } else if (e.key === "Enter") {
+      choose(matches[Math.max(0, activeIndex)].item.data.id);
     }
   });
 }
 
+function appendHighlighted(parent, text, indices) {
+  FuzzySearch.segments(text, indices).forEach((segment) => {
+    const element = document.createElement(segment.matched ? "b" : "span");
+    element.textContent = segment.text;
+    parent.appendChild(element);
+  });
+}
+
+function setupUrlState() {
+  let viewportTimer = null;
+  cy.on("viewport", () => {
+    clearTimeout(viewportTimer);
+    viewportTimer = setTimeout(() => syncUrl(), 300);
+  });
+  searchInput.addEventListener("input", () => syncUrl());
+  window.addEventListener("popstate", () => restoreUrlState(UrlState.parse(window.location.hash)));
+
+  restoreUrlState(initialUrlState);
+}
+
+function getUrlState() {
+  const pan = cy.pan();
+  return {
+    file: currentFile === defaultFile ? null : [currentFile],
+    node: focusedNodeId,
+    q: searchInput.value.trim() || null,
+    view: { k: cy.zoom(), x: pan.x, y: pan.y },
+  };
+}
+
+// Continuous changes (panning, typing) replace the current history entry, focusing a node adds one
+function syncUrl({ push = false } = {}) {
+  if (restoringUrlState) return;
+  UrlState.update(getUrlState(), { push });
+}
+
+function restoreUrlState(state) {
+  restoringUrlState = true;
+  searchInput.value = state.q || "";
+  // Runs the search for the restored query; its syncUrl is skipped while restoring
+  searchInput.dispatchEvent(new Event("input"));
+
+  const finish = () => {
+    if (state.view) {
+      cy.viewport({ zoom: state.view.k, pan: { x: state.view.x, y: state.view.y } });
+    }
+    restoringUrlState = false;
+    syncUrl();
+  };
+
+  if (state.node && nodeMap.has(state.node) && state.node !== focusedNodeId) {
+    addAndLayout(expandNode(state.node, 1));
+    focusNode(state.node);
+    // The layout fits the graph when it stops, so the saved viewport is applied afterwards
+    cy.one("layoutstop", finish);
+  } else {
+    if (!state.node || !nodeMap.has(state.node)) {
+      clearFocus();
+    }
+    finish();
+  }
+}
+
+// Back to no focused node, e.g. when history returns to an entry from before the first focus
+function clearFocus() {
+  focusedNodeId = null;
+  cy.elements().removeClass("highlighted");
+  sidePanel.innerHTML = "";
+}
+
 function focusNode(nodeId, options = {}) {
   const node = cy.getElementById(nodeId);
   if (!node || node.empty()) return;
 
+  focusedNodeId = nodeId;
+  syncUrl({ push: true });
+
   cy.elements().removeClass("highlighted");
   node.addClass("highlighted");
   node.connectedEdges().addClass("highlighted");
@@ -375,6 +1010,27 @@ function renderSidePanel(node) {
   }
   sidePanel.appendChild(basicInfoSection);
 
+  // Impact analysis
+  const impactSection = createSection("Impact Analysis");
+  const depthLabel = document.createElement("label");
+  depthLabel.textContent = "Depth ";
+  const depthInput = document.createElement("input");
+  depthInput.type = "number";
+  depthInput.min = "1";
+  depthInput.max = "20";
+  depthInput.value = String(impactDepth);
+  depthInput.style.width = "40px";
+  depthLabel.appendChild(depthInput);
+  const impactButton = document.createElement("button");
+  impactButton.textContent = "Show impact";
+  impactButton.style.marginLeft = "8px";
+  impactButton.addEventListener("click", () => {
+    showImpact(node.id(), Math.max(1, Number(depthInput.value) || 1));
+  });
+  impactSection.appendChild(depthLabel);
+  impactSection.appendChild(impactButton);
+  sidePanel.appendChild(impactSection);
+
   // Inheritance
   const inheritanceSection = createSection("Inheritance");
   if (Array.isArray(data.inheritedTypes) && data.inheritedTypes.length > 0) {
@@ -481,11 +1137,7 @@ function renderSidePanel(node) {
       li.style.cursor = "pointer";
       li.style.color = "#3367D6";
       li.addEventListener("click", () => {
-        const more = expandNode(n.id(), 1);
-        cy.batch(() => {
-          cy.add([...more.nodes, ...more.edges]);
-          cy.layout({ name: "cola", animate: true, randomize: false }).run();
-        });
+        addAndLayout(expandNode(n.id(), 1));
         focusNode(n.id());
       });
       ul.appendChild(li);